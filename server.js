@@ -1,12 +1,54 @@
 require('dotenv').config();
+const mongoose = require('mongoose');
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
+const { startRecurringScheduler } = require('./src/services/recurringScheduler');
+const {
+  migrateToWorkspaces,
+  dropLegacyCategoryIndexes,
+  migrateCategories,
+  migrateDivisions
+} = require('./src/services/workspaceService');
 
 const PORT = process.env.PORT || 5000;
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB and bring existing data and indexes up to date before
+// taking requests or posting recurring transactions
+const startup = async () => {
+  await connectDB();
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
+  await dropLegacyCategoryIndexes();
+
+  const migrated = await migrateToWorkspaces();
+  if (migrated > 0) {
+    console.log(`Moved data for ${migrated} user(s) into personal workspaces`);
+  }
+
+  const categories = await migrateCategories();
+  if (categories.seeded > 0) {
+    console.log(`Created default categories for ${categories.seeded} workspace(s)`);
+  }
+  if (categories.created > 0) {
+    console.log(`Created ${categories.created} category name(s) already in use`);
+  }
+
+  const divisionsAdded = await migrateDivisions();
+  if (divisionsAdded > 0) {
+    console.log(`Created divisions for ${divisionsAdded} workspace(s)`);
+  }
+
+  // Build new indexes and drop ones removed from the schemas
+  // (e.g. category names moving from per-user to per-workspace)
+  await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).syncIndexes()));
+
+  startRecurringScheduler();
+
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+};
+
+startup().catch(error => {
+  console.error('Startup Error:', error.message);
+  process.exit(1);
 });
\ No newline at end of file
@@ -5,12 +5,22 @@ const authRoutes = require('./routes/authRoutes');
 const accountRoutes = require('./routes/accountRoutes');
 const transactionRoutes = require('./routes/transactionRoutes');
 const reportRoutes = require('./routes/reportRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const budgetRoutes = require('./routes/budgetRoutes');
+const recurringRoutes = require('./routes/recurringRoutes');
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes');
+const workspaceRoutes = require('./routes/workspaceRoutes');
+const periodRoutes = require('./routes/periodRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const divisionRoutes = require('./routes/divisionRoutes');
+const goalRoutes = require('./routes/goalRoutes');
 
 const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Statement imports send whole files, so allow larger bodies
+app.use(express.json({ limit: '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
@@ -18,6 +28,15 @@ app.use('/api/auth', authRoutes);
 app.use('/api/accounts', accountRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/reports', reportRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/recurring', recurringRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/periods', periodRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/divisions', divisionRoutes);
+app.use('/api/goals', goalRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
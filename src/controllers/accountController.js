@@ -1,52 +1,142 @@
 const Account = require('../models/Account');
 const Transaction = require('../models/Transaction');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const Attachment = require('../models/Attachment');
+const Category = require('../models/Category');
+const Division = require('../models/Division');
+const Goal = require('../models/Goal');
 const mongoose = require('mongoose');
+const moment = require('moment');
+const ledger = require('../services/ledgerService');
+const { findClosedPeriodWith, closedPeriodMessage } = require('../services/periodService');
+const { removeFiles } = require('../services/attachmentStorage');
+const { buildStatements } = require('../services/creditCardService');
+const { scheduledBalance, createEmiRecurring, loanSummary } = require('../services/loanService');
+const { processRecurring } = require('../services/recurringScheduler');
+
+const DELETE_MODES = ['archive', 'reassign', 'cascade'];
+const MAX_STATEMENTS = 24;
 
 // @desc    Create account
 // @route   POST /api/accounts
 // @access  Private
 exports.createAccount = async (req, res, next) => {
   try {
-    const { balance = 0, name, type, currency } = req.body;
+    const { name, type, currency, creditLimit, statementDay, paymentDueDay, loan, emiAccountId } = req.body;
+    const isLoan = type === 'loan';
+
+    let balance = req.body.balance || 0;
 
-    const account = await Account.create({
+    const account = new Account({
       name,
       type,
       currency,
+      creditLimit,
+      statementDay,
+      paymentDueDay,
+      loan: isLoan ? loan : undefined,
       balance: balance,
       openingBalance: balance,
-      userId: req.user.id
+      userId: req.user.id,
+      workspaceId: req.workspace._id
     });
+    await account.validate();
+
+    // Unless its outstanding balance is given, a loan is owed as scheduled:
+    // in full when new, less the installments already due when back-dated
+    if (isLoan && req.body.balance === undefined) {
+      balance = -scheduledBalance(account.loan);
+      account.balance = balance;
+      account.openingBalance = balance;
+    }
 
-    // Create a transaction for the opening balance if it's not 0
-    if (balance !== 0) {
-      await Transaction.create({
-        userId: req.user.id,
-        accountId: account._id,
-        type: balance > 0 ? 'income' : 'expense',
-        amount: Math.abs(balance),
-        category: 'Opening Balance',
-        division: 'personal',
-        description: 'Initial Balance',
-        date: account.createdAt || new Date()
-      });
+    // The opening transaction and EMIs go to the given division, or to the
+    // workspace's default one
+    let division = null;
+    if (isLoan ? emiAccountId : balance !== 0) {
+      division = req.body.division || await Division.defaultName(req.workspace._id);
+      const divisionError = await ledger.validateDivision(req.workspace._id, division);
+      if (divisionError) {
+        return res.status(400).json({
+          success: false,
+          message: divisionError
+        });
+      }
+    }
+
+    // Loans can pay themselves off through a monthly EMI from another account
+    let emiRecurring = null;
+    if (isLoan && emiAccountId) {
+      const fromAccount = mongoose.isValidObjectId(emiAccountId)
+        ? await Account.findOne({
+          _id: emiAccountId,
+          workspaceId: req.workspace._id,
+          type: { $ne: 'loan' },
+          archived: { $ne: true }
+        })
+        : null;
+
+      if (!fromAccount) {
+        return res.status(404).json({
+          success: false,
+          message: 'EMI account not found'
+        });
+      }
+      if (fromAccount.currency !== account.currency) {
+        return res.status(400).json({
+          success: false,
+          message: `EMIs must be paid from a ${account.currency} account`
+        });
+      }
+
+      emiRecurring = createEmiRecurring(account, fromAccount, { userId: req.user._id, division });
+      await emiRecurring.validate();
+    }
+
+    // Save the account with a transaction for its opening balance if it's
+    // not 0. Taking a loan is neither income nor expense, so loans get none
+    await ledger.inTransaction(async (session) => {
+      await account.save({ session });
+
+      if (!isLoan && balance !== 0) {
+        await Transaction.create([{
+          userId: req.user.id,
+          workspaceId: req.workspace._id,
+          accountId: account._id,
+          type: balance > 0 ? 'income' : 'expense',
+          amount: Math.abs(balance),
+          ...ledger.OPENING_BALANCE_FILTER,
+          division,
+          date: account.createdAt || new Date()
+        }], { session });
+      }
+    });
+
+    // EMI interest needs its category
+    if (isLoan) {
+      await Category.seedDefaults(req.workspace._id, req.user._id);
+      if (emiRecurring) await processRecurring(emiRecurring);
     }
 
     res.status(201).json({
       success: true,
-      data: account
+      data: account,
+      ...(emiRecurring && { emiRecurring })
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Get all accounts
+// @desc    Get all accounts (archived ones only with includeArchived=true)
 // @route   GET /api/accounts
 // @access  Private
 exports.getAccounts = async (req, res, next) => {
   try {
-    const accounts = await Account.find({ userId: req.user.id });
+    const query = { workspaceId: req.workspace._id };
+    if (req.query.includeArchived !== 'true') query.archived = { $ne: true };
+
+    const accounts = await Account.find(query);
 
     res.status(200).json({
       success: true,
@@ -65,7 +155,7 @@ exports.getAccount = async (req, res, next) => {
   try {
     const account = await Account.findOne({
       _id: req.params.id,
-      userId: req.user.id
+      workspaceId: req.workspace._id
     });
 
     if (!account) {
@@ -89,9 +179,9 @@ exports.getAccount = async (req, res, next) => {
 // @access  Private
 exports.updateAccount = async (req, res, next) => {
   try {
-    let account = await Account.findOne({
+    const account = await Account.findOne({
       _id: req.params.id,
-      userId: req.user.id
+      workspaceId: req.workspace._id
     });
 
     if (!account) {
@@ -105,11 +195,37 @@ exports.updateAccount = async (req, res, next) => {
     const updateData = { ...req.body };
     delete updateData.balance;
     delete updateData.openingBalance;
+    delete updateData._id;
+    delete updateData.userId;
+    delete updateData.workspaceId;
+
+    // Archiving goes through DELETE ?mode=archive; this only restores
+    delete updateData.archivedAt;
+    if (updateData.archived !== undefined) {
+      if (updateData.archived === true || updateData.archived === 'true') delete updateData.archived;
+      else updateData.archivedAt = null;
+    }
 
-    account = await Account.findByIdAndUpdate(req.params.id, updateData, {
-      new: true,
-      runValidators: true
-    });
+    // The balance and its history only make sense for the account's type
+    // and currency
+    const changesKind = ['type', 'currency'].some(field => (
+      updateData[field] !== undefined && String(updateData[field]).toUpperCase() !== String(account[field]).toUpperCase()
+    ));
+    if (changesKind && await Transaction.exists(ledger.accountTransactionsFilter(account))) {
+      return res.status(400).json({
+        success: false,
+        message: 'The type and currency of an account with transactions cannot be changed'
+      });
+    }
+
+    // Loan terms can be updated one at a time
+    if (updateData.loan && typeof updateData.loan === 'object') {
+      updateData.loan = { ...account.toObject().loan, ...updateData.loan };
+    }
+
+    // Saving (rather than updating in place) runs the loan checks
+    account.set(updateData);
+    await account.save();
 
     res.status(200).json({
       success: true,
@@ -120,14 +236,16 @@ exports.updateAccount = async (req, res, next) => {
   }
 };
 
-// @desc    Delete account
-// @route   DELETE /api/accounts/:id
+// @desc    Delete account. Accounts with transactions need a mode: archive
+//          (hide, keep history), reassign (move transactions to
+//          targetAccountId) or cascade (delete the transactions too)
+// @route   DELETE /api/accounts/:id?mode=archive|reassign|cascade
 // @access  Private
 exports.deleteAccount = async (req, res, next) => {
   try {
     const account = await Account.findOne({
       _id: req.params.id,
-      userId: req.user.id
+      workspaceId: req.workspace._id
     });
 
     if (!account) {
@@ -137,11 +255,139 @@ exports.deleteAccount = async (req, res, next) => {
       });
     }
 
-    await account.deleteOne();
+    const { mode, targetAccountId } = req.query;
+    const workspaceId = req.workspace._id;
+    const { $or: usesAccount } = ledger.accountTransactionsFilter(account);
+
+    if (mode !== undefined && !DELETE_MODES.includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: `mode must be one of ${DELETE_MODES.join(', ')}`
+      });
+    }
+
+    // Goals track this account's balance, so they have to be moved or deleted first
+    if (mode !== 'archive') {
+      const goals = await Goal.countDocuments({ workspaceId, accountId: account._id });
+      if (goals > 0) {
+        return res.status(400).json({
+          success: false,
+          message: `Account is linked to ${goals} savings goal(s); move or delete them first`
+        });
+      }
+    }
+
+    // An account nothing refers to can simply be deleted
+    if (!mode) {
+      const inUse = await Transaction.exists({ workspaceId, $or: usesAccount })
+        || await RecurringTransaction.exists({ workspaceId, $or: usesAccount });
+      if (inUse) {
+        return res.status(400).json({
+          success: false,
+          message: `Account has transactions; delete it with mode=${DELETE_MODES.join('|')}`
+        });
+      }
+
+      await account.deleteOne();
+
+      return res.status(200).json({
+        success: true,
+        data: {}
+      });
+    }
+
+    if (mode === 'archive') {
+      account.archived = true;
+      account.archivedAt = new Date();
+      await account.save();
+
+      // Stop recurring transactions posting into an account nobody sees
+      await RecurringTransaction.updateMany(
+        { workspaceId, status: 'active', $or: usesAccount },
+        { status: 'paused' }
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: account
+      });
+    }
+
+    // Both remaining modes rewrite history, which closed months don't allow
+    const closedPeriod = await findClosedPeriodWith(workspaceId, { $or: usesAccount });
+    if (closedPeriod) {
+      return res.status(403).json({
+        success: false,
+        message: closedPeriodMessage(closedPeriod)
+      });
+    }
+
+    let target = null;
+    if (mode === 'reassign') {
+      target = mongoose.isValidObjectId(targetAccountId)
+        ? await Account.findOne({ _id: targetAccountId, workspaceId, archived: { $ne: true } })
+        : null;
+
+      if (!target || target._id.equals(account._id)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please provide a different, active targetAccountId to move the transactions to'
+        });
+      }
+      if (target.currency !== account.currency) {
+        return res.status(400).json({
+          success: false,
+          message: `Transactions can only be moved to another ${account.currency} account`
+        });
+      }
+    }
+
+    let attachments = [];
+    const deletedIds = await ledger.inTransaction(async (session) => {
+      const ids = mode === 'reassign'
+        ? await ledger.reassignAccountTransactions(account, target, session)
+        : await ledger.deleteAccountTransactions(account, session);
+
+      attachments = await Attachment.find({ transactionId: { $in: ids } })
+        .select('+storageKey')
+        .session(session);
+      await Attachment.deleteMany({ transactionId: { $in: ids } }, { session });
+
+      if (mode === 'reassign') {
+        await RecurringTransaction.updateMany(
+          { workspaceId, accountId: account._id },
+          { accountId: target._id },
+          { session }
+        );
+        await RecurringTransaction.updateMany(
+          { workspaceId, toAccountId: account._id },
+          { toAccountId: target._id },
+          { session }
+        );
+        // Templates that would now transfer to themselves
+        await RecurringTransaction.deleteMany(
+          { workspaceId, type: 'transfer', accountId: target._id, toAccountId: target._id },
+          { session }
+        );
+      } else {
+        await RecurringTransaction.deleteMany({ workspaceId, $or: usesAccount }, { session });
+      }
+
+      await Account.deleteOne({ _id: account._id }, { session });
+
+      return ids;
+    });
+
+    // Files are not part of the DB transaction, so they go once it has committed
+    await removeFiles(attachments.map(attachment => attachment.storageKey));
 
     res.status(200).json({
       success: true,
-      data: {}
+      data: {
+        mode,
+        deletedTransactions: deletedIds.length,
+        ...(target && { targetAccount: await Account.findById(target._id) })
+      }
     });
   } catch (error) {
     next(error);
@@ -151,14 +397,14 @@ exports.deleteAccount = async (req, res, next) => {
 exports.getAccountTransactions = async (req, res, next) => {
   try {
     const { page = 1, limit = 50, startDate, endDate, type } = req.query;
-    const userId = new mongoose.Types.ObjectId(req.user._id || req.user.id);
+    const workspaceId = req.workspace._id;
     const accountObjectId = new mongoose.Types.ObjectId(req.params.id);
 
 
     // Verify account belongs to user
     const account = await Account.findOne({
       _id: req.params.id,
-      userId: req.user.id
+      workspaceId: req.workspace._id
     });
 
     if (!account) {
@@ -170,7 +416,7 @@ exports.getAccountTransactions = async (req, res, next) => {
 
     // Build query - Only look for transactions linked to this account as the primary account
     const query = {
-      userId: userId,
+      workspaceId: workspaceId,
       $or: [
         { accountId: accountObjectId },
         { toAccountId: accountObjectId }
@@ -199,7 +445,7 @@ exports.getAccountTransactions = async (req, res, next) => {
     const summary = await Transaction.aggregate([
       {
         $match: {
-          userId: userId,
+          workspaceId: workspaceId,
           $or: [
             { accountId: accountObjectId },
             { toAccountId: accountObjectId }
@@ -281,6 +527,90 @@ exports.getAccountTransactions = async (req, res, next) => {
   }
 };
 
+// @desc    Get a credit card's statements: the last `count` closed cycles
+//          (default 6) and the open one, with the payments that settled them
+// @route   GET /api/accounts/:id/statements
+// @access  Private
+exports.getAccountStatements = async (req, res, next) => {
+  try {
+    const account = await Account.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspace._id
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    if (account.type !== 'credit_card' || !account.statementDay) {
+      return res.status(400).json({
+        success: false,
+        message: 'Statements are only available for credit cards with a statementDay'
+      });
+    }
+
+    const count = Math.min(Math.max(parseInt(req.query.count, 10) || 6, 1), MAX_STATEMENTS);
+    const statements = await buildStatements(account, count);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        account,
+        statements
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a loan's repayment position, projected amortization schedule
+//          and, given ?prepayment=&prepaymentDate=, what-if projections
+// @route   GET /api/accounts/:id/amortization
+// @access  Private
+exports.getAmortization = async (req, res, next) => {
+  try {
+    const account = await Account.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspace._id
+    });
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    if (account.type !== 'loan') {
+      return res.status(400).json({
+        success: false,
+        message: 'Amortization is only available for loan accounts'
+      });
+    }
+
+    const { prepayment, prepaymentDate } = req.query;
+    if (prepaymentDate && !moment(prepaymentDate).isValid()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid prepaymentDate'
+      });
+    }
+
+    const summary = await loanSummary(account, { prepayment, prepaymentDate });
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Recalculate account balance based on transactions
 // @route   POST /api/accounts/:id/recalibrate
 // @access  Private
@@ -288,7 +618,7 @@ exports.recalibrateAccount = async (req, res, next) => {
   try {
     const account = await Account.findOne({
       _id: req.params.id,
-      userId: req.user.id
+      workspaceId: req.workspace._id
     });
 
     if (!account) {
@@ -298,57 +628,34 @@ exports.recalibrateAccount = async (req, res, next) => {
       });
     }
 
-    const userId = new mongoose.Types.ObjectId(req.user.id);
+    const workspaceId = req.workspace._id;
     const accountObjectId = new mongoose.Types.ObjectId(req.params.id);
 
-    // Calculate totals
+    // Sum every balance movement into or out of this account since its
+    // opening balance
     const result = await Transaction.aggregate([
       {
         $match: {
-          userId: userId,
+          workspaceId: workspaceId,
           $or: [
             { accountId: accountObjectId },
             { toAccountId: accountObjectId }
-          ]
+          ],
+          $nor: [ledger.OPENING_BALANCE_FILTER]
         }
       },
+      ...ledger.balanceLegStages(),
+      { $match: { accountId: accountObjectId } },
       {
         $group: {
           _id: null,
-          totalIncome: {
-            $sum: {
-              $cond: [
-                {
-                  $or: [
-                    { $eq: ['$type', 'income'] },
-                    { $and: [{ $eq: ['$type', 'transfer'] }, { $eq: ['$toAccountId', accountObjectId] }] }
-                  ]
-                },
-                '$amount',
-                0
-              ]
-            }
-          },
-          totalExpense: {
-            $sum: {
-              $cond: [
-                {
-                  $or: [
-                    { $eq: ['$type', 'expense'] },
-                    { $and: [{ $eq: ['$type', 'transfer'] }, { $eq: ['$accountId', accountObjectId] }] }
-                  ]
-                },
-                '$amount',
-                0
-              ]
-            }
-          }
+          net: { $sum: '$delta' }
         }
       }
     ]);
 
-    const totals = result.length > 0 ? result[0] : { totalIncome: 0, totalExpense: 0 };
-    const newBalance = (account.openingBalance || 0) + totals.totalIncome - totals.totalExpense;
+    const net = result.length > 0 ? result[0].net : 0;
+    const newBalance = (account.openingBalance || 0) + net;
 
     account.balance = newBalance;
     await account.save();
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const Transaction = require('../models/Transaction');
+const Attachment = require('../models/Attachment');
+const { saveFile, readFile, removeFiles } = require('../services/attachmentStorage');
+
+const findTransaction = (req) => Transaction.findOne({
+  _id: req.params.id,
+  workspaceId: req.workspace._id
+});
+
+const transactionNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Transaction not found'
+});
+
+// @desc    Attach a receipt image or PDF to a transaction
+// @route   POST /api/transactions/:id/attachments
+// @access  Private
+exports.uploadAttachment = async (req, res, next) => {
+  try {
+    const transaction = await findTransaction(req);
+    if (!transaction) return transactionNotFound(res);
+
+    const storageKey = `${req.workspace._id}/${transaction._id}/${crypto.randomUUID()}`;
+    await saveFile(storageKey, req.file.buffer, { mimeType: req.file.mimetype });
+
+    let attachment;
+    try {
+      attachment = await Attachment.create({
+        transactionId: transaction._id,
+        workspaceId: req.workspace._id,
+        userId: req.user._id,
+        fileName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        storageKey
+      });
+    } catch (error) {
+      await removeFiles([storageKey]);
+      throw error;
+    }
+
+    await Transaction.updateOne({ _id: transaction._id }, { $inc: { attachmentCount: 1 } });
+
+    res.status(201).json({
+      success: true,
+      data: attachment
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a transaction's attachments
+// @route   GET /api/transactions/:id/attachments
+// @access  Private
+exports.getAttachments = async (req, res, next) => {
+  try {
+    const transaction = await findTransaction(req);
+    if (!transaction) return transactionNotFound(res);
+
+    const attachments = await Attachment.find({ transactionId: transaction._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: attachments.length,
+      data: attachments
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download an attachment
+// @route   GET /api/transactions/:id/attachments/:attachmentId
+// @access  Private
+exports.downloadAttachment = async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findOne({
+      _id: req.params.attachmentId,
+      transactionId: req.params.id,
+      workspaceId: req.workspace._id
+    }).select('+storageKey');
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    const stream = await readFile(attachment.storageKey);
+
+    res.setHeader('Content-Type', attachment.mimeType);
+    res.setHeader('Content-Length', attachment.size);
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`
+    );
+    stream.on('error', error => res.destroy(error));
+    stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete an attachment
+// @route   DELETE /api/transactions/:id/attachments/:attachmentId
+// @access  Private
+exports.deleteAttachment = async (req, res, next) => {
+  try {
+    const attachment = await Attachment.findOneAndDelete({
+      _id: req.params.attachmentId,
+      transactionId: req.params.id,
+      workspaceId: req.workspace._id
+    }).select('+storageKey');
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attachment not found'
+      });
+    }
+
+    await Transaction.updateOne({ _id: attachment.transactionId }, { $inc: { attachmentCount: -1 } });
+    await removeFiles([attachment.storageKey]);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,12 +1,15 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
-
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE
-  });
-};
+const crypto = require('crypto');
+const { sendMail } = require('../services/mailer');
+const { ensurePersonalWorkspace } = require('../services/workspaceService');
+const {
+  hashToken,
+  generateAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser
+} = require('../services/tokenService');
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -31,16 +34,21 @@ exports.register = async (req, res, next) => {
       password
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Give the new user their own ledger with a starter set of categories
+    await ensurePersonalWorkspace(user);
+
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(201).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        baseCurrency: user.baseCurrency
       }
     });
   } catch (error) {
@@ -81,16 +89,18 @@ exports.login = async (req, res, next) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate tokens
+    const { token, refreshToken } = await issueTokens(user, req);
 
     res.status(200).json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
-        email: user.email
+        email: user.email,
+        baseCurrency: user.baseCurrency
       }
     });
   } catch (error) {
@@ -98,6 +108,209 @@ exports.login = async (req, res, next) => {
   }
 };
 
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken, req);
+    const user = rotated && await User.findById(rotated.stored.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      token: generateAccessToken(user),
+      refreshToken: rotated.refreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log out this device by revoking its refresh token
+// @route   POST /api/auth/logout
+// @access  Public
+exports.logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+
+    await revokeRefreshToken(refreshToken);
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log out all devices: revoke every refresh and access token
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = async (req, res, next) => {
+  try {
+    await revokeAllForUser(req.user._id);
+    await User.findByIdAndUpdate(req.user._id, { $inc: { tokenVersion: 1 } });
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change password (requires the current one)
+// @route   PUT /api/auth/password
+// @access  Private
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide current and new password'
+      });
+    }
+
+    const user = await User.findById(req.user.id).select('+password');
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    // Changing the password signs out every other session
+    user.password = newPassword;
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+    await revokeAllForUser(user._id);
+
+    const { token, refreshToken } = await issueTokens(user, req);
+
+    res.status(200).json({
+      success: true,
+      token,
+      refreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Email a password reset token
+// @route   POST /api/auth/forgot-password
+// @access  Public
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || typeof email !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an email'
+      });
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+    // Same response whether or not the account exists
+    if (user) {
+      const resetToken = crypto.randomBytes(32).toString('hex');
+      const minutes = Number(process.env.RESET_TOKEN_EXPIRE_MINUTES) || 30;
+
+      user.resetPasswordHash = hashToken(resetToken);
+      user.resetPasswordExpires = new Date(Date.now() + minutes * 60 * 1000);
+      await user.save();
+
+      const resetUrl = `${process.env.CLIENT_URL || ''}/reset-password?token=${resetToken}`;
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Money Manager password',
+        text: `Use this link to reset your password within ${minutes} minutes:\n\n${resetUrl}\n\n`
+          + 'If you did not ask for this, you can ignore this email.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'If that email is registered, a reset link has been sent'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset password with an emailed token
+// @route   POST /api/auth/reset-password
+// @access  Public
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the reset token and a new password'
+      });
+    }
+
+    const user = await User.findOne({
+      resetPasswordHash: hashToken(token),
+      resetPasswordExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Single use, and every existing session is signed out
+    user.password = password;
+    user.resetPasswordHash = undefined;
+    user.resetPasswordExpires = undefined;
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+    await revokeAllForUser(user._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password has been reset'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -105,6 +318,39 @@ exports.getMe = async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
 
+    res.status(200).json({
+      success: true,
+      user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update current user's profile and settings
+// @route   PUT /api/auth/me
+// @access  Private
+exports.updateMe = async (req, res, next) => {
+  try {
+    const { name, baseCurrency, editLock } = req.body;
+
+    if (editLock !== undefined && (!editLock || typeof editLock !== 'object' || Array.isArray(editLock))) {
+      return res.status(400).json({
+        success: false,
+        message: 'editLock must be an object with mode, windowHours or periodCloseDay'
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (name !== undefined) user.name = name;
+    if (baseCurrency !== undefined) user.baseCurrency = baseCurrency;
+    if (editLock !== undefined) {
+      ['mode', 'windowHours', 'periodCloseDay'].forEach(key => {
+        if (editLock[key] !== undefined) user.editLock[key] = editLock[key];
+      });
+    }
+    await user.save();
+
     res.status(200).json({
       success: true,
       user
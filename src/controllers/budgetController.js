@@ -0,0 +1,165 @@
+const Budget = require('../models/Budget');
+const Category = require('../models/Category');
+const { validateDivision } = require('../services/ledgerService');
+
+const BUDGET_FIELDS = ['name', 'category', 'division', 'period', 'amount', 'rollover', 'startDate'];
+
+// Returns an error message when the budget category isn't a valid expense
+// category or the division can't be used
+const validateBudgetTarget = async (workspaceId, { category, division }) => {
+  if (category) {
+    const found = await Category.findByName(workspaceId, category, 'expense');
+    if (!found) return `Expense category '${category}' not found`;
+  }
+
+  return division ? validateDivision(workspaceId, division) : null;
+};
+
+// @desc    Create budget
+// @route   POST /api/budgets
+// @access  Private
+exports.createBudget = async (req, res, next) => {
+  try {
+    const targetError = await validateBudgetTarget(req.workspace._id, req.body);
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        message: targetError
+      });
+    }
+
+    const budgetData = { userId: req.user.id, workspaceId: req.workspace._id };
+    BUDGET_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) budgetData[field] = req.body[field];
+    });
+
+    const budget = await Budget.create(budgetData);
+
+    res.status(201).json({
+      success: true,
+      data: budget
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all budgets
+// @route   GET /api/budgets
+// @access  Private
+exports.getBudgets = async (req, res, next) => {
+  try {
+    const { period } = req.query;
+
+    const query = { workspaceId: req.workspace._id };
+    if (period) query.period = period;
+
+    const budgets = await Budget.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: budgets.length,
+      data: budgets
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single budget
+// @route   GET /api/budgets/:id
+// @access  Private
+exports.getBudget = async (req, res, next) => {
+  try {
+    const budget = await Budget.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspace._id
+    });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: budget
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update budget
+// @route   PUT /api/budgets/:id
+// @access  Private
+exports.updateBudget = async (req, res, next) => {
+  try {
+    const budget = await Budget.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspace._id
+    });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    // A budget keeps its division even after that division is archived
+    const targetError = await validateBudgetTarget(req.workspace._id, {
+      category: req.body.category,
+      division: req.body.division !== budget.division ? req.body.division : undefined
+    });
+    if (targetError) {
+      return res.status(400).json({
+        success: false,
+        message: targetError
+      });
+    }
+
+    BUDGET_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) budget[field] = req.body[field];
+    });
+
+    await budget.save();
+
+    res.status(200).json({
+      success: true,
+      data: budget
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete budget
+// @route   DELETE /api/budgets/:id
+// @access  Private
+exports.deleteBudget = async (req, res, next) => {
+  try {
+    const budget = await Budget.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspace._id
+    });
+
+    if (!budget) {
+      return res.status(404).json({
+        success: false,
+        message: 'Budget not found'
+      });
+    }
+
+    await budget.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,283 @@
+const Category = require('../models/Category');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const { inTransaction } = require('../services/ledgerService');
+const { buildCategoryTree } = require('../utils/categoryTree');
+const { findClosedPeriodWith, closedPeriodMessage } = require('../services/periodService');
+
+// Returns an error message when parentId can't be used as the parent
+const validateParent = async (workspaceId, parentId, type, selfId) => {
+  const parent = await Category.findOne({ _id: parentId, workspaceId });
+  if (!parent) return 'Parent category not found';
+  if (parent.type !== type) return 'Parent category must have the same type';
+
+  // Walk up from the new parent to make sure we don't create a cycle
+  let current = parent;
+  while (current) {
+    if (selfId && current._id.equals(selfId)) {
+      return 'A category cannot be moved under itself or one of its sub-categories';
+    }
+    current = current.parentId
+      ? await Category.findOne({ _id: current.parentId, workspaceId })
+      : null;
+  }
+
+  return null;
+};
+
+// @desc    Create category
+// @route   POST /api/categories
+// @access  Private
+exports.createCategory = async (req, res, next) => {
+  try {
+    const { name, type, icon, color, parentId } = req.body;
+
+    if (parentId) {
+      const parentError = await validateParent(req.workspace._id, parentId, type);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+    }
+
+    const exists = await Category.findByName(req.workspace._id, name, type);
+    if (exists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category already exists'
+      });
+    }
+
+    const category = await Category.create({
+      userId: req.user.id,
+      workspaceId: req.workspace._id,
+      name,
+      type,
+      icon,
+      color,
+      parentId: parentId || null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all categories
+// @route   GET /api/categories
+// @access  Private
+exports.getCategories = async (req, res, next) => {
+  try {
+    const { type, tree } = req.query;
+
+    const query = { workspaceId: req.workspace._id };
+    if (type) query.type = type;
+
+    const categories = await Category.find(query).sort({ type: 1, name: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      count: categories.length,
+      data: tree === 'true' ? buildCategoryTree(categories) : categories
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single category
+// @route   GET /api/categories/:id
+// @access  Private
+exports.getCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspace._id
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update category
+// @route   PUT /api/categories/:id
+// @access  Private
+exports.updateCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspace._id
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const { name, icon, color, parentId } = req.body;
+
+    // Changing the type would silently mismatch existing transactions
+    if (req.body.type && req.body.type !== category.type) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category type cannot be changed'
+      });
+    }
+
+    if (parentId) {
+      const parentError = await validateParent(req.workspace._id, parentId, category.type, category._id);
+      if (parentError) {
+        return res.status(400).json({
+          success: false,
+          message: parentError
+        });
+      }
+    }
+
+    const oldName = category.name;
+    if (name !== undefined) category.name = name;
+    if (icon !== undefined) category.icon = icon;
+    if (color !== undefined) category.color = color;
+    if (parentId !== undefined) category.parentId = parentId || null;
+
+    if (category.name !== oldName) {
+      const exists = await Category.findByName(req.workspace._id, category.name, category.type);
+      if (exists) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category already exists'
+        });
+      }
+
+      // The rename would rewrite transactions in closed months
+      const closedPeriod = await findClosedPeriodWith(req.workspace._id, {
+        type: category.type,
+        $or: [{ category: oldName }, { 'splits.category': oldName }]
+      });
+      if (closedPeriod) {
+        return res.status(403).json({
+          success: false,
+          message: closedPeriodMessage(closedPeriod)
+        });
+      }
+    }
+
+    // Transactions, split lines, budgets and recurring templates store the
+    // category name, so renames carry over to them in the same transaction
+    await inTransaction(async (session) => {
+      await category.save({ session });
+
+      if (category.name !== oldName) {
+        const workspaceId = req.workspace._id;
+        const { type } = category;
+        await Transaction.updateMany(
+          { workspaceId, type, category: oldName },
+          { category: category.name },
+          { session }
+        );
+        await Transaction.updateMany(
+          { workspaceId, type, 'splits.category': oldName },
+          { $set: { 'splits.$[line].category': category.name } },
+          { arrayFilters: [{ 'line.category': oldName }], session }
+        );
+        // Budgets only track expense categories
+        if (type === 'expense') {
+          await Budget.updateMany({ workspaceId, category: oldName }, { category: category.name }, { session });
+        }
+        await RecurringTransaction.updateMany(
+          { workspaceId, type, category: oldName },
+          { category: category.name },
+          { session }
+        );
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete category
+// @route   DELETE /api/categories/:id
+// @access  Private
+exports.deleteCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspace._id
+    });
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const children = await Category.countDocuments({
+      workspaceId: req.workspace._id,
+      parentId: category._id
+    });
+
+    if (children > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category has sub-categories and cannot be deleted'
+      });
+    }
+
+    const workspaceId = req.workspace._id;
+    const { type, name } = category;
+    const counts = await Promise.all([
+      Transaction.countDocuments({
+        workspaceId,
+        type,
+        $or: [{ category: name }, { 'splits.category': name }]
+      }),
+      type === 'expense' ? Budget.countDocuments({ workspaceId, category: name }) : 0,
+      RecurringTransaction.countDocuments({ workspaceId, type, category: name })
+    ]);
+    const inUse = counts.reduce((sum, count) => sum + count, 0);
+
+    if (inUse > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Category is used by ${inUse} transaction(s), budget(s) or recurring transaction(s) and cannot be deleted`
+      });
+    }
+
+    await category.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
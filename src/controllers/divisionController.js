@@ -0,0 +1,211 @@
+const Division = require('../models/Division');
+const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const { inTransaction } = require('../services/ledgerService');
+const { findClosedPeriodWith, closedPeriodMessage } = require('../services/periodService');
+
+// @desc    Create division
+// @route   POST /api/divisions
+// @access  Private
+exports.createDivision = async (req, res, next) => {
+  try {
+    const { name, color } = req.body;
+
+    const exists = await Division.findByName(req.workspace._id, name);
+    if (exists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Division already exists'
+      });
+    }
+
+    const division = await Division.create({
+      userId: req.user.id,
+      workspaceId: req.workspace._id,
+      name,
+      color
+    });
+
+    res.status(201).json({
+      success: true,
+      data: division
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all divisions (archived ones included unless archived=false)
+// @route   GET /api/divisions
+// @access  Private
+exports.getDivisions = async (req, res, next) => {
+  try {
+    // Workspaces created before divisions existed get the defaults on first use
+    const total = await Division.countDocuments({ workspaceId: req.workspace._id });
+    if (total === 0) {
+      await Division.seedDefaults(req.workspace._id, req.user._id);
+    }
+
+    const query = { workspaceId: req.workspace._id };
+    if (req.query.archived !== undefined) query.archived = req.query.archived === 'true';
+
+    const divisions = await Division.find(query).sort({ archived: 1, name: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: divisions.length,
+      data: divisions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single division
+// @route   GET /api/divisions/:id
+// @access  Private
+exports.getDivision = async (req, res, next) => {
+  try {
+    const division = await Division.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspace._id
+    });
+
+    if (!division) {
+      return res.status(404).json({
+        success: false,
+        message: 'Division not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: division
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update division (rename, recolour, archive or restore)
+// @route   PUT /api/divisions/:id
+// @access  Private
+exports.updateDivision = async (req, res, next) => {
+  try {
+    const division = await Division.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspace._id
+    });
+
+    if (!division) {
+      return res.status(404).json({
+        success: false,
+        message: 'Division not found'
+      });
+    }
+
+    const { name, color, archived } = req.body;
+
+    const oldName = division.name;
+    if (name !== undefined) division.name = name;
+    if (color !== undefined) division.color = color;
+    if (archived !== undefined) division.archived = archived;
+
+    if (division.name !== oldName) {
+      const exists = await Division.findByName(req.workspace._id, division.name);
+      if (exists) {
+        return res.status(400).json({
+          success: false,
+          message: 'Division already exists'
+        });
+      }
+
+      // The rename would rewrite transactions in closed months
+      const closedPeriod = await findClosedPeriodWith(req.workspace._id, {
+        $or: [{ division: oldName }, { 'splits.division': oldName }]
+      });
+      if (closedPeriod) {
+        return res.status(403).json({
+          success: false,
+          message: closedPeriodMessage(closedPeriod)
+        });
+      }
+    }
+
+    // Transactions, split lines, budgets and recurring templates store the
+    // division name, so renames carry over to them in the same transaction
+    await inTransaction(async (session) => {
+      await division.save({ session });
+
+      if (division.name !== oldName) {
+        const workspaceId = req.workspace._id;
+        await Transaction.updateMany({ workspaceId, division: oldName }, { division: division.name }, { session });
+        await Transaction.updateMany(
+          { workspaceId, 'splits.division': oldName },
+          { $set: { 'splits.$[line].division': division.name } },
+          { arrayFilters: [{ 'line.division': oldName }], session }
+        );
+        await Budget.updateMany({ workspaceId, division: oldName }, { division: division.name }, { session });
+        await RecurringTransaction.updateMany(
+          { workspaceId, division: oldName },
+          { division: division.name },
+          { session }
+        );
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: division
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete division
+// @route   DELETE /api/divisions/:id
+// @access  Private
+exports.deleteDivision = async (req, res, next) => {
+  try {
+    const division = await Division.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspace._id
+    });
+
+    if (!division) {
+      return res.status(404).json({
+        success: false,
+        message: 'Division not found'
+      });
+    }
+
+    const workspaceId = req.workspace._id;
+    const counts = await Promise.all([
+      Transaction.countDocuments({
+        workspaceId,
+        $or: [{ division: division.name }, { 'splits.division': division.name }]
+      }),
+      Budget.countDocuments({ workspaceId, division: division.name }),
+      RecurringTransaction.countDocuments({ workspaceId, division: division.name })
+    ]);
+    const inUse = counts.reduce((sum, count) => sum + count, 0);
+
+    if (inUse > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Division is used by ${inUse} transaction(s), budget(s) or recurring transaction(s); archive it instead`
+      });
+    }
+
+    await division.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
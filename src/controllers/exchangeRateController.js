@@ -0,0 +1,172 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const moment = require('moment');
+const { parseCsv } = require('../utils/statementParser');
+
+// Rates apply from the start of their (UTC) day
+const rateDate = (value) => {
+  const date = moment.utc(value, ['YYYY-MM-DD', moment.ISO_8601], true);
+  return date.isValid() ? date.startOf('day').toDate() : null;
+};
+
+// @desc    Get exchange rates
+// @route   GET /api/exchange-rates
+// @access  Private
+exports.getRates = async (req, res, next) => {
+  try {
+    const { from, to, startDate, endDate } = req.query;
+
+    const query = { workspaceId: req.workspace._id };
+    if (typeof from === 'string') query.from = from.toUpperCase();
+    if (typeof to === 'string') query.to = to.toUpperCase();
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+
+    const rates = await ExchangeRate.find(query).sort({ from: 1, to: 1, date: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: rates.length,
+      data: rates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set the rate for a currency pair on a date
+// @route   POST /api/exchange-rates
+// @access  Private
+exports.setRate = async (req, res, next) => {
+  try {
+    const { from, to, rate } = req.body;
+    const date = rateDate(req.body.date || new Date().toISOString());
+
+    if (!from || !to || typeof from !== 'string' || typeof to !== 'string' || !date) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide from, to and a valid date'
+      });
+    }
+
+    // The upsert below skips the schema's required check
+    if (!(Number(rate) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rate must be a number greater than 0'
+      });
+    }
+
+    if (from.toUpperCase() === to.toUpperCase()) {
+      return res.status(400).json({
+        success: false,
+        message: 'From and to currencies must be different'
+      });
+    }
+
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { workspaceId: req.workspace._id, from: from.toUpperCase(), to: to.toUpperCase(), date },
+      { rate: Number(rate), source: 'manual', $setOnInsert: { userId: req.user.id } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: exchangeRate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Import rates from a CSV file with date, from, to and rate columns
+// @route   POST /api/exchange-rates/import
+// @access  Private
+exports.importRates = async (req, res, next) => {
+  try {
+    const { content } = req.body;
+
+    if (!content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the CSV content'
+      });
+    }
+
+    const [header = [], ...rows] = parseCsv(content);
+    const columns = header.map(h => h.trim().toLowerCase());
+    const index = name => columns.indexOf(name);
+
+    if (['date', 'from', 'to', 'rate'].some(name => index(name) < 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'CSV must have date, from, to and rate columns'
+      });
+    }
+
+    const operations = [];
+    const errors = [];
+
+    rows.forEach((row, i) => {
+      const date = rateDate((row[index('date')] || '').trim());
+      const from = (row[index('from')] || '').trim().toUpperCase();
+      const to = (row[index('to')] || '').trim().toUpperCase();
+      const rate = parseFloat(row[index('rate')]);
+
+      if (!date || !from || !to || from === to || !(rate > 0)) {
+        errors.push({ row: i + 2, message: 'Invalid date, currency pair or rate' });
+        return;
+      }
+
+      operations.push({
+        updateOne: {
+          filter: { workspaceId: req.workspace._id, from, to, date },
+          update: { $set: { rate, source: 'import' }, $setOnInsert: { userId: req.user.id } },
+          upsert: true
+        }
+      });
+    });
+
+    if (operations.length > 0) {
+      await ExchangeRate.bulkWrite(operations);
+    }
+
+    res.status(200).json({
+      success: true,
+      imported: operations.length,
+      errors
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete exchange rate
+// @route   DELETE /api/exchange-rates/:id
+// @access  Private
+exports.deleteRate = async (req, res, next) => {
+  try {
+    const exchangeRate = await ExchangeRate.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspace._id
+    });
+
+    if (!exchangeRate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exchange rate not found'
+      });
+    }
+
+    await exchangeRate.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Goal = require('../models/Goal');
+const Account = require('../models/Account');
+const { withProgress } = require('../services/goalService');
+
+const GOAL_FIELDS = ['name', 'targetAmount', 'targetDate', 'accountId', 'share'];
+
+// Returns an error message unless the account is a savings account with
+// enough unallocated share left for this goal
+const validateGoalAccount = async (workspaceId, accountId, share, goalId) => {
+  const account = mongoose.isValidObjectId(accountId)
+    ? await Account.findOne({ _id: accountId, workspaceId })
+    : null;
+  if (!account) return 'Account not found';
+  if (account.type !== 'savings') return 'Goals can only be linked to savings accounts';
+
+  const others = await Goal.find({ workspaceId, accountId: account._id, _id: { $ne: goalId } });
+  const allocated = others.reduce((sum, goal) => sum + (goal.share || 100), 0);
+  if (allocated + Number(share || 100) > 100) {
+    return `Only ${100 - allocated}% of this account is left to allocate to goals`;
+  }
+
+  return null;
+};
+
+// @desc    Create goal
+// @route   POST /api/goals
+// @access  Private
+exports.createGoal = async (req, res, next) => {
+  try {
+    const accountError = await validateGoalAccount(req.workspace._id, req.body.accountId, req.body.share);
+    if (accountError) {
+      return res.status(400).json({
+        success: false,
+        message: accountError
+      });
+    }
+
+    const goalData = { userId: req.user.id, workspaceId: req.workspace._id };
+    GOAL_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) goalData[field] = req.body[field];
+    });
+
+    const goal = await Goal.create(goalData);
+    const [data] = await withProgress([goal]);
+
+    res.status(201).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all goals with their progress
+// @route   GET /api/goals
+// @access  Private
+exports.getGoals = async (req, res, next) => {
+  try {
+    const goals = await Goal.find({ workspaceId: req.workspace._id }).sort({ targetDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: goals.length,
+      data: await withProgress(goals)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single goal with its progress
+// @route   GET /api/goals/:id
+// @access  Private
+exports.getGoal = async (req, res, next) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspace._id
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    const [data] = await withProgress([goal]);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update goal
+// @route   PUT /api/goals/:id
+// @access  Private
+exports.updateGoal = async (req, res, next) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspace._id
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    if (req.body.accountId !== undefined || req.body.share !== undefined) {
+      const accountError = await validateGoalAccount(
+        req.workspace._id,
+        req.body.accountId !== undefined ? req.body.accountId : goal.accountId,
+        req.body.share !== undefined ? req.body.share : goal.share,
+        goal._id
+      );
+      if (accountError) {
+        return res.status(400).json({
+          success: false,
+          message: accountError
+        });
+      }
+    }
+
+    GOAL_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) goal[field] = req.body[field];
+    });
+
+    await goal.save();
+    const [data] = await withProgress([goal]);
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete goal
+// @route   DELETE /api/goals/:id
+// @access  Private
+exports.deleteGoal = async (req, res, next) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      workspaceId: req.workspace._id
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Goal not found'
+      });
+    }
+
+    await goal.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,309 @@
+const Account = require('../models/Account');
+const Category = require('../models/Category');
+const Division = require('../models/Division');
+const Transaction = require('../models/Transaction');
+const path = require('path');
+const moment = require('moment');
+const { parseCsvStatement, parseOfxStatement } = require('../utils/statementParser');
+const { recordTransactions } = require('../services/ledgerService');
+const { findClosedPeriod, closedPeriodMessage } = require('../services/periodService');
+
+const DUPLICATE_WINDOW_DAYS = 2;
+const DESCRIPTION_SIMILARITY = 0.5;
+
+const words = (text) => new Set(
+  String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word.length > 1 && !/^\d+$/.test(word))
+);
+
+// 0..1 score of how alike two descriptions are
+const descriptionSimilarity = (a, b) => {
+  const left = String(a || '').toLowerCase().trim();
+  const right = String(b || '').toLowerCase().trim();
+  if (left && right && (left.includes(right) || right.includes(left))) return 1;
+
+  const leftWords = words(a);
+  const rightWords = words(b);
+  if (leftWords.size === 0 || rightWords.size === 0) return 0;
+
+  const shared = [...leftWords].filter(word => rightWords.has(word)).length;
+  return shared / (leftWords.size + rightWords.size - shared);
+};
+
+// Whether money moved into (1) or out of (-1) the account
+const directionFor = (transaction, accountId) => {
+  if (transaction.type === 'income') return 1;
+  if (transaction.type === 'expense') return -1;
+  return String(transaction.toAccountId) === String(accountId) ? 1 : -1;
+};
+
+// Multipart uploads send mapping and defaults as JSON text
+const jsonField = (value, name) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw Object.assign(new Error(`${name} must be valid JSON`), { statusCode: 400 });
+  }
+};
+
+// Whether two statement lines look like the same movement
+const sameMovement = (a, b) => {
+  if (a.externalId && b.externalId) return a.externalId === b.externalId;
+  return a.amount === b.amount
+    && Math.abs(moment(a.date).diff(b.date, 'days', true)) <= DUPLICATE_WINDOW_DAYS
+    && descriptionSimilarity(a.description, b.description) >= DESCRIPTION_SIMILARITY;
+};
+
+const findAccount = (req) => Account.findOne({
+  _id: req.params.id,
+  workspaceId: req.workspace._id
+});
+
+// @desc    Parse a CSV/OFX statement and preview it with likely duplicates flagged
+// @route   POST /api/accounts/:id/import
+// @access  Private
+exports.previewImport = async (req, res, next) => {
+  try {
+    // Either an uploaded file in the "file" field or the text in `content`
+    const body = req.body || {};
+    const content = req.file ? req.file.buffer.toString('utf8') : body.content;
+    const mapping = jsonField(body.mapping, 'mapping');
+    const defaults = jsonField(body.defaults, 'defaults') || {};
+
+    const account = await findAccount(req);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a statement file or provide the statement content'
+      });
+    }
+
+    const extension = req.file ? path.extname(req.file.originalname).slice(1) : '';
+    const format = (
+      body.format
+      || (/<OFX|OFXHEADER/i.test(content) ? 'ofx' : null)
+      || (['ofx', 'qfx'].includes(extension.toLowerCase()) ? extension : 'csv')
+    ).toLowerCase();
+
+    let parsed;
+    try {
+      if (format === 'ofx' || format === 'qfx') {
+        parsed = parseOfxStatement(content);
+      } else if (format === 'csv') {
+        parsed = parseCsvStatement(content, mapping);
+      } else {
+        throw new Error(`Unsupported format '${format}'`);
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { lines, errors } = parsed;
+    const division = defaults.division || await Division.defaultName(req.workspace._id);
+
+    // Existing transactions around the statement dates, to look for duplicates
+    let existing = [];
+    if (lines.length > 0) {
+      const dates = lines.map(line => line.date.getTime());
+      existing = await Transaction.find({
+        workspaceId: req.workspace._id,
+        $or: [{ accountId: account._id }, { toAccountId: account._id }],
+        date: {
+          $gte: moment(Math.min(...dates)).subtract(DUPLICATE_WINDOW_DAYS, 'days').toDate(),
+          $lte: moment(Math.max(...dates)).add(DUPLICATE_WINDOW_DAYS, 'days').toDate()
+        }
+      }).lean();
+    }
+
+    const rows = lines.map((line, index) => {
+      const direction = line.amount > 0 ? 1 : -1;
+      const amount = Math.abs(line.amount);
+      const type = direction > 0 ? 'income' : 'expense';
+
+      let duplicateOf = null;
+      existing.forEach(transaction => {
+        let score = 0;
+        if (line.externalId && transaction.externalId === line.externalId) {
+          score = 1;
+        } else if (
+          transaction.amount === amount
+          && directionFor(transaction, account._id) === direction
+          && Math.abs(moment(transaction.date).diff(line.date, 'days', true)) <= DUPLICATE_WINDOW_DAYS
+        ) {
+          score = descriptionSimilarity(transaction.description, line.description);
+        }
+
+        if (score >= DESCRIPTION_SIMILARITY && (!duplicateOf || score > duplicateOf.score)) {
+          duplicateOf = {
+            id: transaction._id,
+            date: transaction.date,
+            amount: transaction.amount,
+            description: transaction.description,
+            score: Number(score.toFixed(2))
+          };
+        }
+      });
+
+      // An earlier line of this same statement
+      const repeat = lines.slice(0, index).find(earlier => sameMovement(earlier, line));
+
+      return {
+        row: line.row,
+        date: line.date,
+        amount,
+        type,
+        description: line.description,
+        category: type === 'income' ? defaults.incomeCategory : defaults.expenseCategory,
+        division,
+        externalId: line.externalId,
+        duplicate: Boolean(duplicateOf || repeat),
+        duplicateOf,
+        duplicateOfRow: repeat ? repeat.row : null
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        format,
+        account: {
+          id: account._id,
+          name: account.name
+        },
+        total: rows.length,
+        duplicates: rows.filter(row => row.duplicate).length,
+        rows,
+        errors
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Insert accepted statement rows and update the balance
+// @route   POST /api/accounts/:id/import/commit
+// @access  Private
+exports.commitImport = async (req, res, next) => {
+  try {
+    const { rows } = req.body;
+
+    const account = await findAccount(req);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Account not found'
+      });
+    }
+
+    if (account.archived) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transactions cannot be added to an archived account'
+      });
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the rows to import'
+      });
+    }
+
+    const categories = await Category.find({ workspaceId: req.workspace._id }).lean();
+    const validCategories = new Set(categories.map(c => `${c.type}:${c.name}`));
+    const validDivisions = new Set(await Division.distinct('name', {
+      workspaceId: req.workspace._id,
+      archived: false
+    }));
+    const defaultDivision = await Division.defaultName(req.workspace._id);
+
+    const errors = [];
+    rows.forEach((row, i) => {
+      const label = row.row || i + 1;
+      if (!['income', 'expense'].includes(row.type)) {
+        errors.push({ row: label, message: 'Type must be income or expense' });
+      } else if (!(Number(row.amount) > 0)) {
+        errors.push({ row: label, message: 'Amount must be greater than 0' });
+      } else if (!moment(row.date).isValid()) {
+        errors.push({ row: label, message: 'Invalid date' });
+      } else if (!row.description) {
+        errors.push({ row: label, message: 'Description is required' });
+      } else if (!validCategories.has(`${row.type}:${row.category}`)) {
+        errors.push({ row: label, message: `Category '${row.category}' not found for ${row.type}` });
+      } else if (!validDivisions.has(row.division || defaultDivision)) {
+        errors.push({
+          row: label,
+          message: row.division || defaultDivision
+            ? `Division '${row.division || defaultDivision}' not found or archived`
+            : 'Division is required'
+        });
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some rows are invalid; nothing was imported',
+        errors
+      });
+    }
+
+    const closedPeriod = await findClosedPeriod(req.workspace._id, rows.map(row => row.date));
+    if (closedPeriod) {
+      return res.status(403).json({
+        success: false,
+        message: closedPeriodMessage(closedPeriod)
+      });
+    }
+
+    // Re-committing the same statement must not import bank references twice
+    const externalIds = rows.map(row => row.externalId).filter(Boolean);
+    const imported = new Set(
+      externalIds.length > 0
+        ? (await Transaction.find({
+          accountId: account._id,
+          externalId: { $in: externalIds }
+        }).distinct('externalId'))
+        : []
+    );
+
+    const accepted = rows.filter(row => !row.externalId || !imported.has(row.externalId));
+
+    const transactions = await recordTransactions(accepted.map(row => ({
+      userId: req.user.id,
+      workspaceId: req.workspace._id,
+      accountId: account._id,
+      type: row.type,
+      amount: Number(row.amount),
+      category: row.category,
+      division: row.division || defaultDivision,
+      description: row.description,
+      date: new Date(row.date),
+      externalId: row.externalId || undefined
+    })));
+
+    res.status(201).json({
+      success: true,
+      imported: transactions.length,
+      skipped: rows.length - accepted.length,
+      data: transactions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,111 @@
+const moment = require('moment');
+const ClosedPeriod = require('../models/ClosedPeriod');
+const { periodRange, closingBalances } = require('../services/periodService');
+
+// @desc    Get closed (and reopened) periods
+// @route   GET /api/periods
+// @access  Private
+exports.getPeriods = async (req, res, next) => {
+  try {
+    const periods = await ClosedPeriod.find({ workspaceId: req.workspace._id })
+      .populate('log.userId', 'name email')
+      .sort({ startDate: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: periods.length,
+      data: periods
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Close a month, snapshotting every account's closing balance
+// @route   POST /api/periods/close
+// @access  Private
+exports.closePeriod = async (req, res, next) => {
+  try {
+    // Defaults to last month
+    const period = req.body.period || moment().subtract(1, 'month').format('YYYY-MM');
+
+    if (!moment(period, 'YYYY-MM', true).isValid()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Period must be in YYYY-MM format'
+      });
+    }
+
+    const { startDate, endDate } = periodRange(period);
+    if (endDate > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only months that have ended can be closed'
+      });
+    }
+
+    let closed = await ClosedPeriod.findOne({ workspaceId: req.workspace._id, period });
+    if (closed && closed.status === 'closed') {
+      return res.status(400).json({
+        success: false,
+        message: `The period ${period} is already closed`
+      });
+    }
+
+    const balances = await closingBalances(req.workspace._id, endDate);
+
+    // Closing a reopened period again takes a fresh snapshot
+    if (!closed) {
+      closed = new ClosedPeriod({ workspaceId: req.workspace._id, period, startDate, endDate });
+    }
+    closed.status = 'closed';
+    closed.balances = balances;
+    closed.log.push({ action: 'close', userId: req.user._id, reason: req.body.reason });
+    await closed.save();
+
+    res.status(201).json({
+      success: true,
+      data: closed
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reopen a closed period
+// @route   POST /api/periods/:period/reopen
+// @access  Private (owner)
+exports.reopenPeriod = async (req, res, next) => {
+  try {
+    if (req.workspaceRole !== 'owner') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only workspace owners can reopen a period'
+      });
+    }
+
+    const closed = await ClosedPeriod.findOne({
+      workspaceId: req.workspace._id,
+      period: req.params.period,
+      status: 'closed'
+    });
+
+    if (!closed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Closed period not found'
+      });
+    }
+
+    closed.status = 'reopened';
+    closed.log.push({ action: 'reopen', userId: req.user._id, reason: req.body.reason });
+    await closed.save();
+
+    res.status(200).json({
+      success: true,
+      data: closed
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,305 @@
+const RecurringTransaction = require('../models/RecurringTransaction');
+const Account = require('../models/Account');
+const { validateCategory, validateDivision, validateTransfer } = require('../services/ledgerService');
+const { findNextRun, processRecurring } = require('../services/recurringScheduler');
+const { occurrences } = require('../utils/schedule');
+
+const RECURRING_FIELDS = [
+  'accountId', 'toAccountId', 'exchangeRate', 'type', 'amount', 'category', 'division', 'description', 'tags',
+  'frequency', 'interval', 'dayOfWeek', 'dayOfMonth', 'cron', 'startDate', 'endDate', 'maxOccurrences'
+];
+
+// Returns an error message when the template can't produce valid transactions
+const validateTemplate = async (workspaceId, recurring) => {
+  const account = await Account.findOne({ _id: recurring.accountId, workspaceId });
+  if (!account) return 'Account not found';
+
+  if (recurring.type === 'transfer') {
+    const transfer = await validateTransfer(workspaceId, recurring);
+    if (transfer.error) return transfer.error;
+    recurring.exchangeRate = transfer.exchangeRate || undefined;
+  }
+
+  return await validateCategory(workspaceId, recurring.category, recurring.type)
+    || validateDivision(workspaceId, recurring.division);
+};
+
+const findRecurring = (req) => RecurringTransaction.findOne({
+  _id: req.params.id,
+  workspaceId: req.workspace._id
+});
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Recurring transaction not found'
+});
+
+// @desc    Create recurring transaction
+// @route   POST /api/recurring
+// @access  Private
+exports.createRecurring = async (req, res, next) => {
+  try {
+    const recurring = new RecurringTransaction({ userId: req.user.id, workspaceId: req.workspace._id });
+    RECURRING_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) recurring[field] = req.body[field];
+    });
+    if (recurring.type === 'transfer') recurring.category = 'Transfer';
+
+    const templateError = await validateTemplate(req.workspace._id, recurring);
+    if (templateError) {
+      return res.status(400).json({
+        success: false,
+        message: templateError
+      });
+    }
+
+    await recurring.validate();
+
+    // Catch up any occurrences already due (e.g. a start date in the past)
+    const created = await processRecurring(recurring);
+
+    res.status(201).json({
+      success: true,
+      created,
+      data: recurring
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get all recurring transactions
+// @route   GET /api/recurring
+// @access  Private
+exports.getRecurring = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+
+    const query = { workspaceId: req.workspace._id };
+    if (status) query.status = status;
+
+    const recurring = await RecurringTransaction.find(query)
+      .populate('accountId', 'name type')
+      .populate('toAccountId', 'name type')
+      .sort({ nextRunDate: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: recurring.length,
+      data: recurring
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single recurring transaction
+// @route   GET /api/recurring/:id
+// @access  Private
+exports.getRecurringById = async (req, res, next) => {
+  try {
+    const recurring = await findRecurring(req).populate('accountId toAccountId');
+
+    if (!recurring) return notFound(res);
+
+    res.status(200).json({
+      success: true,
+      data: recurring
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update recurring transaction (applies to future occurrences)
+// @route   PUT /api/recurring/:id
+// @access  Private
+exports.updateRecurring = async (req, res, next) => {
+  try {
+    const recurring = await findRecurring(req);
+
+    if (!recurring) return notFound(res);
+
+    RECURRING_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) recurring[field] = req.body[field];
+    });
+    if (recurring.type === 'transfer') recurring.category = 'Transfer';
+
+    const templateError = await validateTemplate(req.workspace._id, recurring);
+    if (templateError) {
+      return res.status(400).json({
+        success: false,
+        message: templateError
+      });
+    }
+
+    // A changed end condition may revive a completed schedule
+    if (recurring.status === 'completed') recurring.status = 'active';
+
+    await recurring.validate();
+    const created = await processRecurring(recurring);
+
+    res.status(200).json({
+      success: true,
+      created,
+      data: recurring
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete recurring transaction (generated transactions are kept)
+// @route   DELETE /api/recurring/:id
+// @access  Private
+exports.deleteRecurring = async (req, res, next) => {
+  try {
+    const recurring = await findRecurring(req);
+
+    if (!recurring) return notFound(res);
+
+    await recurring.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Preview upcoming occurrences
+// @route   GET /api/recurring/:id/upcoming
+// @access  Private
+exports.getUpcoming = async (req, res, next) => {
+  try {
+    const recurring = await findRecurring(req);
+
+    if (!recurring) return notFound(res);
+
+    const count = Math.min(Math.max(parseInt(req.query.count) || 5, 1), 100);
+    const after = recurring.processedUntil || new Date();
+    const upcoming = [];
+
+    for (const { date, index } of occurrences(recurring)) {
+      if (upcoming.length >= count) break;
+      if (date <= after) continue;
+      upcoming.push({
+        date,
+        occurrence: index,
+        skipped: recurring.isSkipped(date)
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      status: recurring.status,
+      data: upcoming
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Skip a single upcoming occurrence
+// @route   POST /api/recurring/:id/skip
+// @access  Private
+exports.skipOccurrence = async (req, res, next) => {
+  try {
+    const recurring = await findRecurring(req);
+
+    if (!recurring) return notFound(res);
+
+    const target = new Date(req.body.date);
+    if (Number.isNaN(target.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the occurrence date to skip'
+      });
+    }
+
+    // The date must be an occurrence that hasn't run yet
+    let occurrence = null;
+    for (const { date } of occurrences(recurring)) {
+      if (date > target) break;
+      if (date.getTime() === target.getTime()) occurrence = date;
+    }
+
+    if (!occurrence || (recurring.processedUntil && occurrence <= recurring.processedUntil)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date is not an upcoming occurrence of this schedule'
+      });
+    }
+
+    if (!recurring.isSkipped(occurrence)) recurring.skippedDates.push(occurrence);
+    recurring.nextRunDate = findNextRun(recurring, recurring.processedUntil);
+    await recurring.save();
+
+    res.status(200).json({
+      success: true,
+      data: recurring
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Pause a recurring transaction
+// @route   POST /api/recurring/:id/pause
+// @access  Private
+exports.pauseRecurring = async (req, res, next) => {
+  try {
+    const recurring = await findRecurring(req);
+
+    if (!recurring) return notFound(res);
+
+    if (recurring.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Recurring transaction is already ${recurring.status}`
+      });
+    }
+
+    recurring.status = 'paused';
+    await recurring.save();
+
+    res.status(200).json({
+      success: true,
+      data: recurring
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resume a paused recurring transaction
+// @route   POST /api/recurring/:id/resume
+// @access  Private
+exports.resumeRecurring = async (req, res, next) => {
+  try {
+    const recurring = await findRecurring(req);
+
+    if (!recurring) return notFound(res);
+
+    if (recurring.status !== 'paused') {
+      return res.status(400).json({
+        success: false,
+        message: 'Recurring transaction is not paused'
+      });
+    }
+
+    // Occurrences that fell inside the pause are not back-filled
+    recurring.status = 'active';
+    recurring.processedUntil = new Date();
+    await processRecurring(recurring);
+
+    res.status(200).json({
+      success: true,
+      data: recurring
+    });
+  } catch (error) {
+    next(error);
+  }
+};
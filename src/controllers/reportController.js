@@ -1,5 +1,84 @@
 const Transaction = require('../models/Transaction');
+const Budget = require('../models/Budget');
+const Account = require('../models/Account');
+const Division = require('../models/Division');
+const Goal = require('../models/Goal');
 const moment = require('moment');
+const { getCategoryPaths, rollUpByCategory } = require('../utils/categoryTree');
+const { toBaseCurrencyStages, findMissingRates, findRate } = require('../services/currencyService');
+const { balanceLegStages, splitLineStages, OPENING_BALANCE_FILTER } = require('../services/ledgerService');
+const { withProgress } = require('../services/goalService');
+
+const PERIOD_UNITS = { weekly: 'week', monthly: 'month', yearly: 'year' };
+
+// Net worth grouping: moment unit, step and label format per groupBy
+const NET_WORTH_PERIODS = {
+    day: { unit: 'day', step: 'days', format: 'YYYY-MM-DD' },
+    week: { unit: 'isoWeek', step: 'weeks', format: 'GGGG-[W]WW' },
+    month: { unit: 'month', step: 'months', format: 'YYYY-MM' },
+    quarter: { unit: 'quarter', step: 'quarters', format: 'YYYY-[Q]Q' },
+    year: { unit: 'year', step: 'years', format: 'YYYY' }
+};
+const MAX_NET_WORTH_PERIODS = 500;
+
+// Account types whose balance is money owed rather than owned
+const LIABILITY_TYPES = ['credit_card', 'loan'];
+
+// Insight thresholds, each overridable by query parameter
+const INSIGHT_DEFAULTS = { lookback: 6, zScore: 2, percent: 50, limit: 20 };
+const MAX_INSIGHT_LOOKBACK = 24;
+// Earlier periods with spending needed before a category can spike
+const MIN_SPIKE_HISTORY = 2;
+// Earlier charges in a category needed before one can stand out as large
+const MIN_LARGE_SAMPLE = 5;
+// Relative change below which two charges count as the same price
+const PRICE_TOLERANCE = 0.01;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+const meanAndDeviation = (values) => {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return { mean, deviation: Math.sqrt(variance) };
+};
+
+const normalizeDescription = description => (description || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Sum matching transactions per category (by split line) in the user's
+// base currency, plus any extra group keys. A division filter applies to
+// split lines rather than whole transactions.
+const aggregateByCategory = (user, matchStage, extraGroup = {}) => {
+    const extraFields = {};
+    Object.keys(extraGroup).forEach(key => {
+        extraFields[key] = `$_id.${key}`;
+    });
+
+    const { division, ...transactionMatch } = matchStage;
+
+    return Transaction.aggregate([
+        { $match: transactionMatch },
+        ...splitLineStages(),
+        ...(division ? [{ $match: { division } }] : []),
+        ...toBaseCurrencyStages(transactionMatch.workspaceId, user.baseCurrency),
+        {
+            $group: {
+                _id: { category: '$category', ...extraGroup },
+                total: { $sum: '$amount' },
+                count: { $sum: 1 }
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                category: '$_id.category',
+                ...extraFields,
+                total: 1,
+                count: 1
+            }
+        },
+        { $sort: { total: -1 } }
+    ]);
+};
 
 // @desc    Get dashboard summary
 // @route   GET /api/reports/dashboard
@@ -50,10 +129,11 @@ exports.getDashboardSummary = async (req, res, next) => {
         const summary = await Transaction.aggregate([
             {
                 $match: {
-                    userId: req.user._id,
+                    workspaceId: req.workspace._id,
                     ...dateFilter
                 }
             },
+            ...toBaseCurrencyStages(req.workspace._id, req.user.baseCurrency),
             {
                 $group: {
                     _id: '$type',
@@ -66,18 +146,33 @@ exports.getDashboardSummary = async (req, res, next) => {
         const income = summary.find(s => s._id === 'income')?.total || 0;
         const expense = summary.find(s => s._id === 'expense')?.total || 0;
         const balance = income - expense;
+        const missingRates = await findMissingRates(req.workspace._id, req.user.baseCurrency);
+
+        // Savings goals, nearest target date first
+        const goals = await withProgress(
+            await Goal.find({ workspaceId: req.workspace._id }).sort({ targetDate: 1 })
+        );
 
         res.status(200).json({
             success: true,
             data: {
                 period,
+                currency: req.user.baseCurrency,
+                missingRates,
                 income,
                 expense,
                 balance,
                 transactions: {
                     income: summary.find(s => s._id === 'income')?.count || 0,
                     expense: summary.find(s => s._id === 'expense')?.count || 0
-                }
+                },
+                goals: goals.map(goal => ({
+                    id: goal._id,
+                    name: goal.name,
+                    targetAmount: goal.targetAmount,
+                    targetDate: goal.targetDate,
+                    ...goal.progress
+                }))
             }
         });
     } catch (error) {
@@ -134,10 +229,11 @@ exports.getTrend = async (req, res, next) => {
         const trend = await Transaction.aggregate([
             {
                 $match: {
-                    userId: req.user._id,
+                    workspaceId: req.workspace._id,
                     ...dateFilter
                 }
             },
+            ...toBaseCurrencyStages(req.workspace._id, req.user.baseCurrency),
             {
                 $group: {
                     _id: {
@@ -176,6 +272,8 @@ exports.getTrend = async (req, res, next) => {
 
         res.status(200).json({
             success: true,
+            currency: req.user.baseCurrency,
+            missingRates: await findMissingRates(req.workspace._id, req.user.baseCurrency),
             data: trend
         });
     } catch (error) {
@@ -188,10 +286,10 @@ exports.getTrend = async (req, res, next) => {
 // @access  Private
 exports.getCategoryBreakdown = async (req, res, next) => {
     try {
-        const { type = 'expense', division, startDate, endDate } = req.query;
+        const { type = 'expense', division, startDate, endDate, depth } = req.query;
 
         const matchStage = {
-            userId: req.user._id,
+            workspaceId: req.workspace._id,
             type
         };
 
@@ -203,30 +301,98 @@ exports.getCategoryBreakdown = async (req, res, next) => {
             if (endDate) matchStage.date.$lte = new Date(endDate);
         }
 
-        const breakdown = await Transaction.aggregate([
+        const breakdown = await aggregateByCategory(req.user, matchStage);
+
+        const totalAmount = breakdown.reduce((sum, item) => sum + item.total, 0);
+
+        // Leaf categories by default, or rolled up to the requested depth
+        // with the leaf rows kept as children
+        const paths = await getCategoryPaths(req.workspace._id);
+        const rows = depth
+            ? rollUpByCategory(breakdown, paths, Math.max(parseInt(depth) || 1, 1), type)
+            : breakdown.map(item => ({
+                ...item,
+                path: (paths.get(`${type}:${item.category}`) || [item.category]).join(' > ')
+            }));
+
+        // Add percentage
+        const withPercentage = item => ({
+            ...item,
+            percentage: ((item.total / totalAmount) * 100).toFixed(2),
+            ...(item.children && { children: item.children.map(withPercentage) })
+        });
+        const breakdownWithPercentage = rows.map(withPercentage);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                breakdown: breakdownWithPercentage,
+                total: totalAmount,
+                currency: req.user.baseCurrency,
+                missingRates: await findMissingRates(req.workspace._id, req.user.baseCurrency)
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get tag breakdown
+// @route   GET /api/reports/tag-breakdown
+// @access  Private
+exports.getTagBreakdown = async (req, res, next) => {
+    try {
+        const { type = 'expense', division, startDate, endDate } = req.query;
+
+        const matchStage = {
+            workspaceId: req.workspace._id,
+            type
+        };
+
+        if (startDate || endDate) {
+            matchStage.date = {};
+            if (startDate) matchStage.date.$gte = new Date(startDate);
+            if (endDate) matchStage.date.$lte = new Date(endDate);
+        }
+
+        // Per tag, and overall so untagged spending still counts toward the total
+        const [result] = await Transaction.aggregate([
             { $match: matchStage },
+            ...splitLineStages(),
+            ...(division ? [{ $match: { division } }] : []),
+            ...toBaseCurrencyStages(req.workspace._id, req.user.baseCurrency),
             {
-                $group: {
-                    _id: '$category',
-                    total: { $sum: '$amount' },
-                    count: { $sum: 1 }
-                }
-            },
-            {
-                $project: {
-                    _id: 0,
-                    category: '$_id',
-                    total: 1,
-                    count: 1
+                $facet: {
+                    tags: [
+                        { $unwind: '$tags' },
+                        {
+                            $group: {
+                                _id: '$tags',
+                                total: { $sum: '$amount' },
+                                transactions: { $addToSet: '$_id' }
+                            }
+                        },
+                        {
+                            $project: {
+                                _id: 0,
+                                tag: '$_id',
+                                total: 1,
+                                count: { $size: '$transactions' }
+                            }
+                        },
+                        { $sort: { total: -1 } }
+                    ],
+                    overall: [
+                        { $group: { _id: null, total: { $sum: '$amount' } } }
+                    ]
                 }
-            },
-            { $sort: { total: -1 } }
+            }
         ]);
 
-        const totalAmount = breakdown.reduce((sum, item) => sum + item.total, 0);
+        const totalAmount = result.overall.length > 0 ? result.overall[0].total : 0;
 
-        // Add percentage
-        const breakdownWithPercentage = breakdown.map(item => ({
+        // A transaction can carry several tags, so percentages may add up to more than 100
+        const breakdownWithPercentage = result.tags.map(item => ({
             ...item,
             percentage: ((item.total / totalAmount) * 100).toFixed(2)
         }));
@@ -235,7 +401,9 @@ exports.getCategoryBreakdown = async (req, res, next) => {
             success: true,
             data: {
                 breakdown: breakdownWithPercentage,
-                total: totalAmount
+                total: totalAmount,
+                currency: req.user.baseCurrency,
+                missingRates: await findMissingRates(req.workspace._id, req.user.baseCurrency)
             }
         });
     } catch (error) {
@@ -250,7 +418,7 @@ exports.getDivisionBreakdown = async (req, res, next) => {
     try {
         const { startDate, endDate } = req.query;
 
-        const matchStage = { userId: req.user._id };
+        const matchStage = { workspaceId: req.workspace._id };
 
         if (startDate || endDate) {
             matchStage.date = {};
@@ -260,6 +428,8 @@ exports.getDivisionBreakdown = async (req, res, next) => {
 
         const breakdown = await Transaction.aggregate([
             { $match: matchStage },
+            ...splitLineStages(),
+            ...toBaseCurrencyStages(req.workspace._id, req.user.baseCurrency),
             {
                 $group: {
                     _id: {
@@ -295,14 +465,554 @@ exports.getDivisionBreakdown = async (req, res, next) => {
                     balance: { $subtract: ['$income', '$expense'] },
                     transactionCount: 1
                 }
-            }
+            },
+            { $sort: { expense: -1 } }
         ]);
 
+        // Archived divisions still appear for the periods they were used in
+        const divisions = await Division.find({ workspaceId: req.workspace._id });
+        const byName = new Map(divisions.map(division => [division.name, division]));
+        breakdown.forEach(row => {
+            const division = byName.get(row.division);
+            row.color = division ? division.color : null;
+            row.archived = division ? division.archived : false;
+        });
+
         res.status(200).json({
             success: true,
+            currency: req.user.baseCurrency,
+            missingRates: await findMissingRates(req.workspace._id, req.user.baseCurrency),
             data: breakdown
         });
     } catch (error) {
         next(error);
     }
+};
+
+// @desc    Get spending against each budget for the current period
+// @route   GET /api/reports/budget-status
+// @access  Private
+exports.getBudgetStatus = async (req, res, next) => {
+    try {
+        // Period bounds are in UTC, like the days spending is bucketed by
+        const asOf = req.query.date ? moment.utc(req.query.date) : moment.utc();
+        if (!asOf.isValid()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date'
+            });
+        }
+
+        const budgets = await Budget.find({ workspaceId: req.workspace._id });
+
+        // Work out each budget's current period, and where rollover starts from
+        const windows = budgets.map(budget => {
+            const unit = PERIOD_UNITS[budget.period];
+            const periodStart = asOf.clone().startOf(unit);
+            const firstStart = budget.rollover
+                ? moment.min(moment.utc(budget.startDate).startOf(unit), periodStart)
+                : periodStart;
+
+            return {
+                budget,
+                unit,
+                firstStart,
+                periodStart,
+                periodEnd: asOf.clone().endOf(unit)
+            };
+        });
+
+        if (windows.length === 0) {
+            return res.status(200).json({
+                success: true,
+                data: []
+            });
+        }
+
+        const from = moment.min(windows.map(w => w.firstStart));
+        const to = moment.max(windows.map(w => w.periodEnd));
+
+        const rows = await aggregateByCategory(
+            req.user,
+            {
+                workspaceId: req.workspace._id,
+                type: 'expense',
+                date: { $gte: from.toDate(), $lte: to.toDate() }
+            },
+            {
+                division: '$division',
+                day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } }
+            }
+        );
+        const paths = await getCategoryPaths(req.workspace._id);
+
+        const spentBetween = (budget, start, end) => {
+            const startDay = start.format('YYYY-MM-DD');
+            const endDay = end.format('YYYY-MM-DD');
+
+            return rows
+                .filter(row => {
+                    if (row.day < startDay || row.day > endDay) return false;
+                    if (budget.division && row.division !== budget.division) return false;
+                    if (budget.category) {
+                        const path = paths.get(`expense:${row.category}`) || [row.category];
+                        if (!path.includes(budget.category)) return false;
+                    }
+                    return true;
+                })
+                .reduce((sum, row) => sum + row.total, 0);
+        };
+
+        const status = windows.map(({ budget, unit, firstStart, periodStart, periodEnd }) => {
+            // Unused budget from each earlier period carries forward
+            let carriedOver = 0;
+            for (const start = firstStart.clone(); start.isBefore(periodStart); start.add(1, unit)) {
+                const spent = spentBetween(budget, start, start.clone().endOf(unit));
+                carriedOver = Math.max(budget.amount + carriedOver - spent, 0);
+            }
+
+            const limit = budget.amount + carriedOver;
+            const spent = spentBetween(budget, periodStart, periodEnd);
+
+            // Straight-line projection of the spending so far
+            const totalDays = periodEnd.diff(periodStart, 'days') + 1;
+            const elapsedDays = Math.min(Math.max(asOf.diff(periodStart, 'days') + 1, 1), totalDays);
+            const projectedSpend = (spent / elapsedDays) * totalDays;
+
+            let state = 'on_track';
+            if (spent > limit) state = 'over';
+            else if (projectedSpend > limit) state = 'at_risk';
+
+            return {
+                budget: {
+                    id: budget._id,
+                    name: budget.name,
+                    category: budget.category,
+                    division: budget.division,
+                    period: budget.period,
+                    amount: budget.amount,
+                    rollover: budget.rollover
+                },
+                periodStart: periodStart.toDate(),
+                periodEnd: periodEnd.toDate(),
+                carriedOver,
+                limit,
+                spent,
+                remaining: limit - spent,
+                percentUsed: limit > 0 ? Number(((spent / limit) * 100).toFixed(2)) : null,
+                projectedSpend: Number(projectedSpend.toFixed(2)),
+                status: state
+            };
+        });
+
+        status.sort((a, b) => (b.percentUsed || 0) - (a.percentUsed || 0));
+
+        res.status(200).json({
+            success: true,
+            currency: req.user.baseCurrency,
+            data: status
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get net worth at the end of each period, rebuilt from history
+// @route   GET /api/reports/net-worth
+// @access  Private
+exports.getNetWorth = async (req, res, next) => {
+    try {
+        const { groupBy = 'month', startDate, endDate } = req.query;
+        const grouping = NET_WORTH_PERIODS[groupBy];
+
+        if (!grouping) {
+            return res.status(400).json({
+                success: false,
+                message: `groupBy must be one of ${Object.keys(NET_WORTH_PERIODS).join(', ')}`
+            });
+        }
+
+        // Defaults to the last 12 periods
+        const end = (endDate ? moment.utc(endDate) : moment.utc()).endOf(grouping.unit);
+        const start = startDate
+            ? moment.utc(startDate).startOf(grouping.unit)
+            : end.clone().subtract(11, grouping.step).startOf(grouping.unit);
+
+        const periodEnds = [];
+        for (const cursor = start.clone(); cursor.isSameOrBefore(end); cursor.add(1, grouping.step)) {
+            periodEnds.push(cursor.clone().endOf(grouping.unit));
+            if (periodEnds.length > MAX_NET_WORTH_PERIODS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Date range covers more than ${MAX_NET_WORTH_PERIODS} periods`
+                });
+            }
+        }
+
+        const accounts = await Account.find({ workspaceId: req.workspace._id }).lean();
+
+        // Daily balance movements per account, rebuilt the same way as
+        // recalibrateAccount: opening balance plus every later movement
+        const movements = await Transaction.aggregate([
+            {
+                $match: {
+                    workspaceId: req.workspace._id,
+                    date: { $lte: end.toDate() },
+                    $nor: [OPENING_BALANCE_FILTER]
+                }
+            },
+            ...balanceLegStages(),
+            {
+                $group: {
+                    _id: {
+                        accountId: '$accountId',
+                        day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } }
+                    },
+                    delta: { $sum: '$delta' }
+                }
+            },
+            { $sort: { '_id.day': 1 } }
+        ]);
+
+        const movementsByAccount = new Map();
+        movements.forEach(({ _id, delta }) => {
+            const key = String(_id.accountId);
+            if (!movementsByAccount.has(key)) movementsByAccount.set(key, []);
+            movementsByAccount.get(key).push({ day: _id.day, delta });
+        });
+
+        // Convert with the rate in effect at each period end
+        const baseCurrency = req.user.baseCurrency;
+        const rateCache = new Map();
+        const missingRates = new Set();
+        const rateFor = async (currency, date) => {
+            const key = `${currency}:${date.toISOString()}`;
+            if (!rateCache.has(key)) {
+                const rate = await findRate(req.workspace._id, currency, baseCurrency, date);
+                if (rate === null) missingRates.add(currency);
+                rateCache.set(key, rate === null ? 1 : rate);
+            }
+            return rateCache.get(key);
+        };
+
+        const running = accounts.map(account => ({
+            account,
+            balance: account.openingBalance || 0,
+            movements: movementsByAccount.get(String(account._id)) || [],
+            next: 0
+        }));
+
+        const periods = [];
+        for (const periodEnd of periodEnds) {
+            const lastDay = periodEnd.format('YYYY-MM-DD');
+            const byType = {};
+            let assets = 0;
+            let liabilities = 0;
+            const accountBalances = [];
+
+            for (const entry of running) {
+                while (entry.next < entry.movements.length && entry.movements[entry.next].day <= lastDay) {
+                    entry.balance += entry.movements[entry.next].delta;
+                    entry.next += 1;
+                }
+
+                // Accounts created after this period didn't exist yet
+                if (moment(entry.account.createdAt).isAfter(periodEnd)) continue;
+
+                const { account } = entry;
+                const rate = await rateFor(account.currency, periodEnd.toDate());
+                const baseBalance = entry.balance * rate;
+
+                byType[account.type] = (byType[account.type] || 0) + baseBalance;
+                if (LIABILITY_TYPES.includes(account.type)) {
+                    liabilities -= baseBalance;
+                } else {
+                    assets += baseBalance;
+                }
+
+                accountBalances.push({
+                    id: account._id,
+                    name: account.name,
+                    type: account.type,
+                    currency: account.currency,
+                    balance: round2(entry.balance),
+                    baseBalance: round2(baseBalance)
+                });
+            }
+
+            Object.keys(byType).forEach(type => {
+                byType[type] = round2(byType[type]);
+            });
+
+            periods.push({
+                period: periodEnd.format(grouping.format),
+                date: periodEnd.toDate(),
+                assets: round2(assets),
+                liabilities: round2(liabilities),
+                netWorth: round2(assets - liabilities),
+                byType,
+                accounts: accountBalances
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            currency: baseCurrency,
+            missingRates: [...missingRates],
+            data: periods
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// @desc    Get ranked spending insights for the current period
+// @route   GET /api/reports/insights
+// @access  Private
+exports.getInsights = async (req, res, next) => {
+    try {
+        const { period = 'monthly' } = req.query;
+        const unit = PERIOD_UNITS[period];
+
+        if (!unit) {
+            return res.status(400).json({
+                success: false,
+                message: `period must be one of ${Object.keys(PERIOD_UNITS).join(', ')}`
+            });
+        }
+
+        const lookback = Math.min(
+            Math.max(parseInt(req.query.lookback) || INSIGHT_DEFAULTS.lookback, 1),
+            MAX_INSIGHT_LOOKBACK
+        );
+        const zScore = Number(req.query.zScore) > 0 ? Number(req.query.zScore) : INSIGHT_DEFAULTS.zScore;
+        const percent = Number(req.query.percent) > 0 ? Number(req.query.percent) : INSIGHT_DEFAULTS.percent;
+        const limit = Math.max(parseInt(req.query.limit) || INSIGHT_DEFAULTS.limit, 1);
+
+        // The current period so far, against the `lookback` full periods before it
+        const asOf = req.query.date ? moment.utc(req.query.date).endOf('day') : moment.utc();
+        if (!asOf.isValid()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date'
+            });
+        }
+        const periodStart = asOf.clone().startOf(unit);
+        const historyStart = periodStart.clone().subtract(lookback, unit);
+        const matchStage = {
+            workspaceId: req.workspace._id,
+            type: 'expense',
+            date: { $gte: historyStart.toDate(), $lte: asOf.toDate() }
+        };
+
+        const [categoryRows, charges, knownDescriptions, paths] = await Promise.all([
+            aggregateByCategory(req.user, matchStage, {
+                day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } }
+            }),
+            // Whole transactions, with the amount in the account's currency
+            // kept alongside the converted one
+            Transaction.aggregate([
+                { $match: matchStage },
+                { $addFields: { originalAmount: '$amount' } },
+                ...toBaseCurrencyStages(req.workspace._id, req.user.baseCurrency),
+                {
+                    $project: {
+                        date: 1,
+                        amount: 1,
+                        originalAmount: 1,
+                        accountId: 1,
+                        category: 1,
+                        description: 1,
+                        recurringId: 1,
+                        emi: 1
+                    }
+                },
+                { $sort: { date: 1 } }
+            ]),
+            Transaction.distinct('description', {
+                workspaceId: req.workspace._id,
+                type: 'expense',
+                date: { $lt: periodStart.toDate() }
+            }),
+            getCategoryPaths(req.workspace._id)
+        ]);
+
+        const isCurrent = charge => !moment.utc(charge.date).isBefore(periodStart);
+        const insights = [];
+
+        // Categories spending well above their per-period average
+        const categories = new Map();
+        categoryRows.forEach(row => {
+            if (!categories.has(row.category)) {
+                categories.set(row.category, { history: new Array(lookback).fill(0), current: 0 });
+            }
+            const entry = categories.get(row.category);
+            const index = moment.utc(row.day).diff(historyStart, unit);
+            if (index >= lookback) entry.current += row.total;
+            else entry.history[index] += row.total;
+        });
+
+        categories.forEach(({ history, current }, category) => {
+            if (history.filter(total => total > 0).length < MIN_SPIKE_HISTORY) return;
+
+            const { mean, deviation } = meanAndDeviation(history);
+            if (current <= mean) return;
+
+            const score = deviation > 0 ? (current - mean) / deviation : null;
+            const percentChange = ((current - mean) / mean) * 100;
+            if ((score === null || score < zScore) && percentChange < percent) return;
+
+            insights.push({
+                type: 'category_spike',
+                title: `${category} spending is up ${Math.round(percentChange)}%`,
+                impact: round2(current - mean),
+                data: {
+                    category,
+                    path: (paths.get(`expense:${category}`) || [category]).join(' > '),
+                    current: round2(current),
+                    average: round2(mean),
+                    zScore: score === null ? null : round2(score),
+                    percentChange: round2(percentChange),
+                    history: history.map(round2)
+                }
+            });
+        });
+
+        // Single charges far above what the category usually costs. Both
+        // thresholds must hold, so steady categories don't flag small changes
+        const chargeStats = new Map();
+        charges.filter(charge => !isCurrent(charge)).forEach(charge => {
+            if (!chargeStats.has(charge.category)) chargeStats.set(charge.category, []);
+            chargeStats.get(charge.category).push(charge.amount);
+        });
+        const stats = new Map();
+        chargeStats.forEach((amounts, category) => {
+            if (amounts.length >= MIN_LARGE_SAMPLE) stats.set(category, meanAndDeviation(amounts));
+        });
+
+        const largeCharges = new Set();
+        charges.filter(isCurrent).forEach(charge => {
+            const categoryStats = stats.get(charge.category);
+            if (!categoryStats || categoryStats.deviation === 0) return;
+
+            const { mean, deviation } = categoryStats;
+            const score = (charge.amount - mean) / deviation;
+            if (score < zScore || charge.amount < mean * (1 + percent / 100)) return;
+
+            largeCharges.add(String(charge._id));
+            insights.push({
+                type: 'large_transaction',
+                title: `Unusually large ${charge.category} expense: ${charge.description}`,
+                impact: round2(charge.amount - mean),
+                data: {
+                    transactionId: charge._id,
+                    date: charge.date,
+                    description: charge.description,
+                    category: charge.category,
+                    amount: round2(charge.amount),
+                    typicalAmount: round2(mean),
+                    zScore: round2(score)
+                }
+            });
+        });
+
+        // Descriptions never seen before this period
+        const known = new Set(knownDescriptions.map(normalizeDescription));
+        const merchants = new Map();
+        charges.filter(isCurrent).forEach(charge => {
+            const key = normalizeDescription(charge.description);
+            if (!key || known.has(key)) return;
+
+            if (!merchants.has(key)) {
+                merchants.set(key, { description: charge.description, firstDate: charge.date, total: 0, count: 0 });
+            }
+            const merchant = merchants.get(key);
+            merchant.total += charge.amount;
+            merchant.count += 1;
+        });
+
+        merchants.forEach(merchant => {
+            insights.push({
+                type: 'new_merchant',
+                title: `New: ${merchant.description}`,
+                impact: round2(merchant.total),
+                data: {
+                    description: merchant.description,
+                    firstDate: merchant.firstDate,
+                    total: round2(merchant.total),
+                    count: merchant.count
+                }
+            });
+        });
+
+        // Subscriptions charged more this period than last time: charges from
+        // one recurring schedule, or repeats of a description on one account
+        // that had always cost the same. EMI interest varies by design, and a
+        // one-off large charge is reported above instead
+        const series = new Map();
+        charges.filter(charge => !charge.emi?.loanAccountId).forEach(charge => {
+            const key = charge.recurringId
+                ? `recurring:${charge.recurringId}`
+                : `${charge.accountId}:${normalizeDescription(charge.description)}`;
+            if (!series.has(key)) series.set(key, []);
+            series.get(key).push(charge);
+        });
+
+        const samePrice = (a, b) => Math.abs(a - b) <= Math.abs(b) * PRICE_TOLERANCE;
+
+        series.forEach(list => {
+            const latest = list[list.length - 1];
+            if (!isCurrent(latest) || list.length < 2 || largeCharges.has(String(latest._id))) return;
+
+            const earlier = list.slice(0, -1);
+            const previous = earlier[earlier.length - 1];
+            if (!latest.recurringId) {
+                if (earlier.length < 2) return;
+                if (!earlier.every(charge => samePrice(charge.originalAmount, previous.originalAmount))) return;
+            }
+            if (samePrice(latest.originalAmount, previous.originalAmount)) return;
+            if (latest.originalAmount < previous.originalAmount) return;
+
+            const rate = latest.originalAmount ? latest.amount / latest.originalAmount : 1;
+            const percentChange = ((latest.originalAmount - previous.originalAmount) / previous.originalAmount) * 100;
+
+            insights.push({
+                type: 'price_increase',
+                title: `${latest.description} went up ${Math.round(percentChange)}%`,
+                impact: round2((latest.originalAmount - previous.originalAmount) * rate),
+                data: {
+                    transactionId: latest._id,
+                    recurringId: latest.recurringId || null,
+                    description: latest.description,
+                    date: latest.date,
+                    previousDate: previous.date,
+                    previousAmount: round2(previous.originalAmount),
+                    amount: round2(latest.originalAmount),
+                    percentChange: round2(percentChange)
+                }
+            });
+        });
+
+        // Rank by money at stake, in the base currency
+        insights.sort((a, b) => b.impact - a.impact);
+        const counts = {};
+        insights.forEach(insight => {
+            counts[insight.type] = (counts[insight.type] || 0) + 1;
+        });
+
+        res.status(200).json({
+            success: true,
+            currency: req.user.baseCurrency,
+            data: {
+                period,
+                periodStart: periodStart.toDate(),
+                asOf: asOf.toDate(),
+                lookback,
+                counts,
+                insights: insights.slice(0, limit).map((insight, index) => ({ rank: index + 1, ...insight }))
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
 };
\ No newline at end of file
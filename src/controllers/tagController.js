@@ -0,0 +1,135 @@
+const Transaction = require('../models/Transaction');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const { normalizeTags } = require('../utils/tags');
+const { outsideClosedPeriods, findClosedPeriodWith, closedPeriodMessage } = require('../services/periodService');
+
+// Replace the `from` tags with `into` on every transaction and recurring
+// template in the workspace, keeping each tag list free of duplicates.
+// Transactions in closed periods keep their tags
+const replaceTags = async (workspaceId, from, into) => {
+  const update = [{
+    $set: {
+      tags: {
+        $concatArrays: [
+          {
+            $filter: {
+              input: '$tags',
+              cond: { $not: [{ $in: ['$$this', [...from, into]] }] }
+            }
+          },
+          [into]
+        ]
+      }
+    }
+  }];
+
+  const result = await Transaction.updateMany(
+    { workspaceId, tags: { $in: from }, ...await outsideClosedPeriods(workspaceId) },
+    update
+  );
+  await RecurringTransaction.updateMany({ workspaceId, tags: { $in: from } }, update);
+
+  return result.modifiedCount;
+};
+
+// @desc    Get tags with how often and how recently they were used
+// @route   GET /api/tags
+// @access  Private
+exports.getTags = async (req, res, next) => {
+  try {
+    const tags = await Transaction.aggregate([
+      { $match: { workspaceId: req.workspace._id, 'tags.0': { $exists: true } } },
+      { $unwind: '$tags' },
+      {
+        $group: {
+          _id: '$tags',
+          count: { $sum: 1 },
+          lastUsed: { $max: '$date' }
+        }
+      },
+      {
+        $project: {
+          _id: 0,
+          name: '$_id',
+          count: 1,
+          lastUsed: 1
+        }
+      },
+      { $sort: { count: -1, name: 1 } }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: tags.length,
+      data: tags
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename a tag (renaming onto an existing tag merges them)
+// @route   PUT /api/tags/:tag
+// @access  Private
+exports.renameTag = async (req, res, next) => {
+  try {
+    const [from] = normalizeTags(req.params.tag);
+    const [into] = normalizeTags(req.body.name);
+
+    if (!into) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the new tag name'
+      });
+    }
+
+    const updated = await replaceTags(req.workspace._id, [from], into);
+    if (updated === 0) {
+      const closedPeriod = await findClosedPeriodWith(req.workspace._id, { tags: from });
+      if (closedPeriod) {
+        return res.status(403).json({
+          success: false,
+          message: closedPeriodMessage(closedPeriod)
+        });
+      }
+
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { name: into, updated }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Merge several tags into one
+// @route   POST /api/tags/merge
+// @access  Private
+exports.mergeTags = async (req, res, next) => {
+  try {
+    const from = normalizeTags(req.body.tags);
+    const [into] = normalizeTags(req.body.into);
+
+    if (from.length === 0 || !into) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the tags to merge and the tag to merge them into'
+      });
+    }
+
+    const updated = await replaceTags(req.workspace._id, from, into);
+
+    res.status(200).json({
+      success: true,
+      data: { name: into, updated }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
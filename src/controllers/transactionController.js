@@ -1,16 +1,150 @@
 const Transaction = require('../models/Transaction');
 const Account = require('../models/Account');
+const mongoose = require('mongoose');
 const moment = require('moment');
+const { getCategoryPaths, rollUpByCategory } = require('../utils/categoryTree');
+const { encodeCursor, decodeCursor, afterCursor } = require('../utils/cursor');
+const { normalizeTags } = require('../utils/tags');
+const TransactionRevision = require('../models/TransactionRevision');
+const Attachment = require('../models/Attachment');
+const ledger = require('../services/ledgerService');
+const { findClosedPeriod, closedPeriodMessage } = require('../services/periodService');
+const { removeFiles } = require('../services/attachmentStorage');
+const { emiTransactions } = require('../services/loanService');
+
+const EXPORT_COLUMNS = [
+  { header: 'Date', value: t => moment(t.date).format('YYYY-MM-DD') },
+  { header: 'Type', value: t => t.type },
+  { header: 'Category', value: t => t.category },
+  { header: 'Division', value: t => t.division },
+  { header: 'Description', value: t => t.description },
+  { header: 'Tags', value: t => (t.tags || []).join('; ') },
+  { header: 'Amount', value: t => t.amount },
+  {
+    header: 'Splits',
+    value: t => (t.splits || [])
+      .map(line => `${line.category}: ${line.amount} (${line.division})`)
+      .join('; ')
+  },
+  { header: 'Account', value: t => t.accountId && t.accountId.name },
+  { header: 'To Account', value: t => t.toAccountId && t.toAccountId.name },
+  { header: 'Currency', value: t => t.accountId && t.accountId.currency },
+  { header: 'Id', value: t => t._id }
+];
+
+const SORT_FIELDS = ['date', 'amount'];
+const MAX_PAGE_SIZE = 200;
+
+// Query values given repeated (?a=1&a=2) or comma-separated (?a=1,2)
+const listParam = (value) => [].concat(value || [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Filters shared by the transaction list and export. Ids are cast up front
+// because the list runs them through an aggregation
+const buildTransactionQuery = (workspaceId, query) => {
+  const { type, startDate, endDate, search, minAmount, maxAmount } = query;
+  const filter = { workspaceId };
+
+  if (type) filter.type = type;
+
+  const accountIds = listParam(query.accountId);
+  if (accountIds.length > 0) {
+    filter.accountId = {
+      $in: accountIds
+        .filter(id => mongoose.isValidObjectId(id))
+        .map(id => new mongoose.Types.ObjectId(id))
+    };
+  }
+
+  // Split transactions match on any of their lines
+  const conditions = [];
+  const categories = listParam(query.category);
+  if (categories.length > 0) {
+    conditions.push({ $or: [{ category: { $in: categories } }, { 'splits.category': { $in: categories } }] });
+  }
+  const divisions = listParam(query.division);
+  if (divisions.length > 0) {
+    conditions.push({ $or: [{ division: { $in: divisions } }, { 'splits.division': { $in: divisions } }] });
+  }
+
+  // Any of the given tags
+  const tags = normalizeTags(listParam(query.tags));
+  if (tags.length > 0) filter.tags = { $in: tags };
+
+  // Every word of the search has to appear somewhere in the description
+  String(search || '').split(/\s+/).filter(Boolean).forEach(word => {
+    conditions.push({ description: { $regex: escapeRegex(word), $options: 'i' } });
+  });
+
+  if (conditions.length > 0) filter.$and = conditions;
+
+  const min = minAmount !== undefined && minAmount !== '' ? Number(minAmount) : NaN;
+  const max = maxAmount !== undefined && maxAmount !== '' ? Number(maxAmount) : NaN;
+  if (Number.isFinite(min) || Number.isFinite(max)) {
+    filter.amount = {};
+    if (Number.isFinite(min)) filter.amount.$gte = min;
+    if (Number.isFinite(max)) filter.amount.$lte = max;
+  }
+
+  if (startDate || endDate) {
+    filter.date = {};
+    if (startDate) filter.date.$gte = new Date(startDate);
+    if (endDate) filter.date.$lte = new Date(endDate);
+  }
+
+  return filter;
+};
+
+// Quote a CSV field, and stop spreadsheets treating text as a formula
+const csvField = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Fields of a split EMI posting that come from the split itself
+const EMI_FIXED_FIELDS = ['type', 'amount', 'accountId', 'toAccountId', 'category'];
+// Fields kept the same on both postings of a split EMI
+const EMI_SHARED_FIELDS = ['date', 'division', 'tags'];
+
+// The other posting (principal or interest) of a split EMI payment
+const emiCounterpart = (transaction) => (
+  transaction.emi && transaction.emi.paymentId
+    ? Transaction.findOne({
+      workspaceId: transaction.workspaceId,
+      'emi.paymentId': transaction.emi.paymentId,
+      _id: { $ne: transaction._id }
+    })
+    : null
+);
 
 // @desc    Create new transaction
 // @route   POST /api/transactions
 // @access  Private
 exports.createTransaction = async (req, res, next) => {
   try {
-    const { accountId, type, amount, category, division, description, date, toAccountId } = req.body;
+    const {
+      accountId,
+      type,
+      amount,
+      category,
+      division,
+      description,
+      tags,
+      date,
+      toAccountId,
+      exchangeRate,
+      toAmount,
+      splits
+    } = req.body;
 
     // Verify account belongs to user
-    const account = await Account.findOne({ _id: accountId, userId: req.user.id });
+    const account = await Account.findOne({ _id: accountId, workspaceId: req.workspace._id });
     if (!account) {
       return res.status(404).json({
         success: false,
@@ -18,32 +152,95 @@ exports.createTransaction = async (req, res, next) => {
       });
     }
 
-    // Create transaction
-    const transaction = await Transaction.create({
+    // Archived accounts keep their history but take no new transactions
+    const archived = account.archived
+      || (toAccountId && await Account.exists({ _id: toAccountId, workspaceId: req.workspace._id, archived: true }));
+    if (archived) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transactions cannot be added to an archived account'
+      });
+    }
+
+    const closedPeriod = await findClosedPeriod(req.workspace._id, [date || new Date()]);
+    if (closedPeriod) {
+      return res.status(403).json({
+        success: false,
+        message: closedPeriodMessage(closedPeriod)
+      });
+    }
+
+    const hasSplits = Array.isArray(splits) && splits.length > 0;
+    const categoryError = hasSplits
+      ? await ledger.validateSplits(req.workspace._id, splits, type, amount)
+      : await ledger.validateCategory(req.workspace._id, category, type)
+        || await ledger.validateDivision(req.workspace._id, division);
+    if (categoryError) {
+      return res.status(400).json({
+        success: false,
+        message: categoryError
+      });
+    }
+
+    let transfer = {};
+    if (type === 'transfer') {
+      transfer = await ledger.validateTransfer(req.workspace._id, {
+        accountId,
+        toAccountId,
+        exchangeRate,
+        amount,
+        toAmount,
+        date
+      });
+      if (transfer.error) {
+        return res.status(transfer.status).json({
+          success: false,
+          message: transfer.error
+        });
+      }
+    }
+
+    const data = {
       userId: req.user.id,
+      workspaceId: req.workspace._id,
       accountId,
       type,
       amount,
-      category: type === 'transfer' ? 'Transfer' : category,
-      division,
+      category: hasSplits ? ledger.primarySplit(splits).category : category,
+      division: hasSplits ? ledger.primarySplit(splits).division : division,
+      splits: hasSplits ? splits : undefined,
       description,
-      date: date || new Date(),
-      toAccountId: type === 'transfer' ? toAccountId : undefined,
-      transferType: type === 'transfer' ? 'transfer_out' : undefined
-    });
-
-    // Update account balances atomically using $inc
-    if (type === 'income') {
-      await Account.findByIdAndUpdate(accountId, { $inc: { balance: amount } });
-    } else if (type === 'expense') {
-      await Account.findByIdAndUpdate(accountId, { $inc: { balance: -amount } });
-    } else if (type === 'transfer' && toAccountId) {
-      // Source account: decrease balance
-      await Account.findByIdAndUpdate(accountId, { $inc: { balance: -amount } });
-      // Destination account: increase balance
-      await Account.findByIdAndUpdate(toAccountId, { $inc: { balance: amount } });
+      tags,
+      date,
+      toAccountId,
+      exchangeRate: transfer.exchangeRate
+    };
+
+    // A same-currency payment into a loan is an EMI, split into a principal
+    // transfer and an interest expense like the scheduled ones
+    const loan = type === 'transfer' && !transfer.exchangeRate
+      ? await Account.findOne({ _id: toAccountId, workspaceId: req.workspace._id, type: 'loan' })
+      : null;
+    const emiParts = loan
+      ? emiTransactions(loan, {
+        ...data,
+        description: description || `EMI - ${loan.name}`,
+        date: date || new Date()
+      })
+      : [];
+
+    if (emiParts.length > 0) {
+      const [transaction, interestTransaction] = await ledger.recordTransactions(emiParts);
+
+      return res.status(201).json({
+        success: true,
+        data: transaction,
+        ...(interestTransaction && { interestTransaction })
+      });
     }
 
+    const transaction = await ledger.recordTransaction(data);
+
     res.status(201).json({
       success: true,
       data: transaction
@@ -53,51 +250,88 @@ exports.createTransaction = async (req, res, next) => {
   }
 };
 
-// @desc    Get all transactions
+// @desc    Get all transactions, searched and filtered, one cursor page at a time
 // @route   GET /api/transactions
 // @access  Private
 exports.getTransactions = async (req, res, next) => {
   try {
-    const {
-      type,
-      category,
-      division,
-      startDate,
-      endDate,
-      accountId,
-      page = 1,
-      limit = 50
-    } = req.query;
+    const { search, sortBy = 'date', order = 'desc', cursor } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
 
-    // Build query
-    const query = { userId: req.user.id };
+    if (!SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        message: `sortBy must be one of ${SORT_FIELDS.join(', ')}`
+      });
+    }
 
-    if (type) query.type = type;
-    if (category) query.category = category;
-    if (division) query.division = division;
-    if (accountId) query.accountId = accountId;
+    // Build query
+    const query = buildTransactionQuery(req.workspace._id, req.query);
+    const phrase = String(search || '').trim().toLowerCase();
+    const direction = order === 'asc' ? 1 : -1;
+
+    // When searching, exact description matches come first, then descriptions
+    // containing the whole phrase, then the rest
+    const sort = [
+      ...(phrase ? [['relevance', -1]] : []),
+      [sortBy, direction],
+      ['_id', direction]
+    ];
+
+    const pipeline = [{ $match: query }];
+    if (phrase) {
+      const description = { $toLower: { $ifNull: ['$description', ''] } };
+      pipeline.push({
+        $addFields: {
+          relevance: {
+            $switch: {
+              branches: [
+                { case: { $eq: [description, phrase] }, then: 2 },
+                { case: { $gte: [{ $indexOfCP: [description, phrase] }, 0] }, then: 1 }
+              ],
+              default: 0
+            }
+          }
+        }
+      });
+    }
 
-    if (startDate || endDate) {
-      query.date = {};
-      if (startDate) query.date.$gte = new Date(startDate);
-      if (endDate) query.date.$lte = new Date(endDate);
+    if (cursor) {
+      const after = decodeCursor(cursor, sort);
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+      pipeline.push({ $match: afterCursor(after, sort) });
     }
 
-    // Execute query with pagination
-    const transactions = await Transaction.find(query)
-      .populate('accountId', 'name type')
-      .populate('toAccountId', 'name type')
-      .sort({ date: -1, createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    // One extra row tells whether there is another page
+    pipeline.push({ $sort: Object.fromEntries(sort) }, { $limit: limit + 1 });
+
+    const rows = await Transaction.aggregate(pipeline);
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+
+    const transactions = await Transaction.populate(
+      page.map(({ relevance, ...row }) => Transaction.hydrate(row)),
+      [
+        { path: 'accountId', select: 'name type' },
+        { path: 'toAccountId', select: 'name type' }
+      ]
+    );
+    transactions.forEach(transaction => {
+      transaction.$locals.editLock = req.user.editLock;
+    });
 
     const count = await Transaction.countDocuments(query);
 
     res.status(200).json({
       success: true,
       count,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null,
       data: transactions
     });
   } catch (error) {
@@ -105,6 +339,91 @@ exports.getTransactions = async (req, res, next) => {
   }
 };
 
+// @desc    Export all matching transactions as CSV, Excel-friendly CSV, JSON or NDJSON
+// @route   GET /api/transactions/export
+// @access  Private
+exports.exportTransactions = async (req, res, next) => {
+  let cursor;
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!['csv', 'xlsx', 'json', 'ndjson'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be one of csv, xlsx, json or ndjson'
+      });
+    }
+
+    const query = buildTransactionQuery(req.workspace._id, req.query);
+    cursor = Transaction.find(query)
+      .populate('accountId', 'name type currency')
+      .populate('toAccountId', 'name type currency')
+      .sort({ date: -1, createdAt: -1 })
+      .cursor();
+
+    const filename = `transactions-${moment().format('YYYY-MM-DD')}`;
+    // Waits out backpressure. A client that disconnects ends the wait too,
+    // and the loops below stop once the response is destroyed.
+    const write = async (chunk) => {
+      if (res.destroyed || res.write(chunk)) return;
+      await new Promise(resolve => {
+        const done = () => {
+          res.off('drain', done);
+          res.off('close', done);
+          res.off('error', done);
+          resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+        res.on('error', done);
+      });
+    };
+
+    if (format === 'csv' || format === 'xlsx') {
+      // Excel needs a BOM to read UTF-8 and prefers CRLF line endings
+      const excel = format === 'xlsx';
+      const newline = excel ? '\r\n' : '\n';
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      await write((excel ? '\ufeff' : '') + EXPORT_COLUMNS.map(c => c.header).join(',') + newline);
+
+      for await (const transaction of cursor) {
+        await write(EXPORT_COLUMNS.map(c => csvField(c.value(transaction))).join(',') + newline);
+        if (res.destroyed) break;
+      }
+    } else if (format === 'ndjson') {
+      res.setHeader('Content-Type', 'application/x-ndjson');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.ndjson"`);
+
+      for await (const transaction of cursor) {
+        await write(JSON.stringify(transaction) + '\n');
+        if (res.destroyed) break;
+      }
+    } else {
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+
+      let first = true;
+      await write('[');
+      for await (const transaction of cursor) {
+        await write((first ? '' : ',') + JSON.stringify(transaction));
+        first = false;
+        if (res.destroyed) break;
+      }
+      await write(']');
+    }
+
+    if (!res.destroyed) res.end();
+  } catch (error) {
+    // Too late for a JSON error once the file has started streaming
+    if (res.headersSent) return res.destroy(error);
+    next(error);
+  } finally {
+    if (cursor) await cursor.close().catch(() => {});
+  }
+};
+
 // @desc    Get single transaction
 // @route   GET /api/transactions/:id
 // @access  Private
@@ -112,7 +431,7 @@ exports.getTransaction = async (req, res, next) => {
   try {
     const transaction = await Transaction.findOne({
       _id: req.params.id,
-      userId: req.user.id
+      workspaceId: req.workspace._id
     }).populate('accountId toAccountId');
 
     if (!transaction) {
@@ -121,6 +440,7 @@ exports.getTransaction = async (req, res, next) => {
         message: 'Transaction not found'
       });
     }
+    transaction.$locals.editLock = req.user.editLock;
 
     res.status(200).json({
       success: true,
@@ -138,7 +458,7 @@ exports.updateTransaction = async (req, res, next) => {
   try {
     let transaction = await Transaction.findOne({
       _id: req.params.id,
-      userId: req.user.id
+      workspaceId: req.workspace._id
     });
 
     if (!transaction) {
@@ -148,66 +468,170 @@ exports.updateTransaction = async (req, res, next) => {
       });
     }
 
-    // Check if transaction is editable (within 12 hours)
-    if (!transaction.isEditable) {
+    // Neither the current nor the new date may fall in a closed period
+    const closedPeriod = await findClosedPeriod(req.workspace._id, [transaction.date, req.body.date]);
+    if (closedPeriod) {
       return res.status(403).json({
         success: false,
-        message: 'Transaction can only be edited within 12 hours of creation'
+        message: closedPeriodMessage(closedPeriod)
       });
     }
 
-    // 1. REVERSE OLD TRANSACTION IMPACT
-    if (transaction.type === 'income') {
-      await Account.findByIdAndUpdate(transaction.accountId, { $inc: { balance: -transaction.amount } });
-    } else if (transaction.type === 'expense') {
-      await Account.findByIdAndUpdate(transaction.accountId, { $inc: { balance: transaction.amount } });
-    } else if (transaction.type === 'transfer') {
-      // Revert source
-      await Account.findByIdAndUpdate(transaction.accountId, { $inc: { balance: transaction.amount } });
-      // Revert destination
-      if (transaction.toAccountId) {
-        await Account.findByIdAndUpdate(transaction.toAccountId, { $inc: { balance: -transaction.amount } });
+    // The amounts and accounts of a split EMI come from the split, so only
+    // the details both postings share can change, on both at once
+    const counterpart = await emiCounterpart(transaction);
+    if (counterpart) {
+      const changed = EMI_FIXED_FIELDS.find(field => req.body[field] !== undefined && (
+        field === 'amount'
+          ? Number(req.body.amount) !== transaction.amount
+          : String(req.body[field] ?? '') !== String(transaction[field] ?? '')
+      ));
+      if (changed || (Array.isArray(req.body.splits) && req.body.splits.length > 0)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This is part of a split EMI payment; delete it and record the payment again to change its amount or accounts'
+        });
+      }
+    }
+
+    const newType = req.body.type || transaction.type;
+    const newAmount = req.body.amount !== undefined ? Number(req.body.amount) : transaction.amount;
+    const newSplits = req.body.splits !== undefined
+      ? req.body.splits || []
+      : newType === 'transfer' ? [] : transaction.splits;
+
+    if (newSplits.length > 0) {
+      // Split lines are re-checked whenever they, the amount or the type may have
+      // changed. Divisions the transaction already used stay valid if archived
+      const currentDivisions = [transaction.division, ...transaction.splits.map(line => line.division)];
+      const splitError = await ledger.validateSplits(
+        req.workspace._id, newSplits, newType, newAmount, currentDivisions
+      );
+      if (splitError) {
+        return res.status(400).json({
+          success: false,
+          message: splitError
+        });
+      }
+    } else {
+      // Only re-check the category when it or the type changes, so legacy
+      // rows such as opening balances can still be edited
+      const newCategory = req.body.category !== undefined ? req.body.category : transaction.category;
+      if (newType !== transaction.type || newCategory !== transaction.category) {
+        const categoryError = await ledger.validateCategory(req.workspace._id, newCategory, newType);
+        if (categoryError) {
+          return res.status(400).json({
+            success: false,
+            message: categoryError
+          });
+        }
+      }
+
+      const newDivision = req.body.division !== undefined ? req.body.division : transaction.division;
+      if (newDivision !== transaction.division) {
+        const divisionError = await ledger.validateDivision(req.workspace._id, newDivision);
+        if (divisionError) {
+          return res.status(400).json({
+            success: false,
+            message: divisionError
+          });
+        }
       }
     }
 
-    // 2. CLEAN UP PAYLOAD
+    // 1. CLEAN UP PAYLOAD
     const updateData = { ...req.body };
+    delete updateData.userId;
+    delete updateData.workspaceId;
+    delete updateData.attachmentCount;
+
+    if (req.body.splits !== undefined || newType === 'transfer') {
+      updateData.splits = newSplits;
+    }
+    if (newSplits.length > 0) {
+      const primary = ledger.primarySplit(newSplits);
+      updateData.category = primary.category;
+      updateData.division = primary.division;
+    }
+
+    // Moving the transaction to another account needs the same ownership check
+    if (updateData.accountId && String(updateData.accountId) !== String(transaction.accountId)) {
+      const account = await Account.findOne({ _id: updateData.accountId, workspaceId: req.workspace._id });
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Account not found'
+        });
+      }
+    }
+
+    // Transactions can't be moved onto an archived account
+    const movedTo = ['accountId', ...(newType === 'transfer' ? ['toAccountId'] : [])]
+      .filter(field => updateData[field] && String(updateData[field]) !== String(transaction[field]))
+      .map(field => updateData[field])
+      .filter(id => mongoose.isValidObjectId(id));
+    if (movedTo.length > 0
+      && await Account.exists({ _id: { $in: movedTo }, workspaceId: req.workspace._id, archived: true })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transactions cannot be added to an archived account'
+      });
+    }
 
     // If it's not a transfer, ensure transfer-specific fields are explicitly cleared
-    if (updateData.type !== 'transfer') {
+    if (newType !== 'transfer') {
       updateData.toAccountId = null;
       updateData.transferType = null;
+      updateData.exchangeRate = null;
+      updateData.toAmount = null;
     } else {
-      // It is a transfer
-      if (updateData.toAccountId === '') {
-        updateData.toAccountId = null;
-        updateData.transferType = null;
-      } else {
-        updateData.transferType = 'transfer_out';
+      // It is a transfer: validate the resulting source and destination
+      const amount = updateData.amount !== undefined ? Number(updateData.amount) : transaction.amount;
+      const transfer = await ledger.validateTransfer(req.workspace._id, {
+        accountId: updateData.accountId || transaction.accountId,
+        toAccountId: updateData.toAccountId !== undefined ? updateData.toAccountId : transaction.toAccountId,
+        exchangeRate: updateData.exchangeRate !== undefined || updateData.toAmount !== undefined
+          ? updateData.exchangeRate
+          : transaction.exchangeRate,
+        amount,
+        toAmount: updateData.toAmount,
+        date: updateData.date || transaction.date
+      });
+      if (transfer.error) {
+        return res.status(transfer.status).json({
+          success: false,
+          message: transfer.error
+        });
       }
+
+      updateData.transferType = 'transfer_out';
+      updateData.exchangeRate = transfer.exchangeRate;
+      updateData.toAmount = ledger.transferToAmount(amount, transfer.exchangeRate);
       if (!updateData.category || updateData.category === '') {
         updateData.category = 'Transfer';
       }
     }
 
-    // 3. UPDATE TRANSACTION
-    transaction = await Transaction.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    );
+    // 2. UPDATE TRANSACTION, moving its balance impact in the same DB transaction.
+    // Changes past the user's edit lock are kept in the revision history
+    const locked = transaction.isLocked(req.user.editLock);
+    transaction = await ledger.inTransaction(async (session) => {
+      const updated = await ledger.updateTransaction(transaction, updateData, session);
+      if (locked) await ledger.recordRevision(transaction, updated, req.user._id, session);
+
+      if (counterpart) {
+        const shared = Object.fromEntries(EMI_SHARED_FIELDS
+          .filter(field => updateData[field] !== undefined)
+          .map(field => [field, updateData[field]]));
+        const other = await ledger.updateTransaction(counterpart, shared, session);
+        if (counterpart.isLocked(req.user.editLock)) {
+          await ledger.recordRevision(counterpart, other, req.user._id, session);
+        }
+      }
 
-    // 4. APPLY NEW TRANSACTION IMPACT
-    if (transaction.type === 'income') {
-      await Account.findByIdAndUpdate(transaction.accountId, { $inc: { balance: transaction.amount } });
-    } else if (transaction.type === 'expense') {
-      await Account.findByIdAndUpdate(transaction.accountId, { $inc: { balance: -transaction.amount } });
-    } else if (transaction.type === 'transfer' && transaction.toAccountId) {
-      // Apply source
-      await Account.findByIdAndUpdate(transaction.accountId, { $inc: { balance: -transaction.amount } });
-      // Apply destination
-      await Account.findByIdAndUpdate(transaction.toAccountId, { $inc: { balance: transaction.amount } });
-    }
+      return updated;
+    });
+    transaction.$locals.editLock = req.user.editLock;
 
     res.status(200).json({
       success: true,
@@ -225,7 +649,7 @@ exports.deleteTransaction = async (req, res, next) => {
   try {
     const transaction = await Transaction.findOne({
       _id: req.params.id,
-      userId: req.user.id
+      workspaceId: req.workspace._id
     });
 
     if (!transaction) {
@@ -235,29 +659,29 @@ exports.deleteTransaction = async (req, res, next) => {
       });
     }
 
-    // Check if transaction is editable (within 12 hours)
-    if (!transaction.isEditable) {
+    const closedPeriod = await findClosedPeriod(req.workspace._id, [transaction.date]);
+    if (closedPeriod) {
       return res.status(403).json({
         success: false,
-        message: 'Transaction can only be deleted within 12 hours of creation'
+        message: closedPeriodMessage(closedPeriod)
       });
     }
 
-    // Revert account balance atomically using $inc
-    if (transaction.type === 'income') {
-      await Account.findByIdAndUpdate(transaction.accountId, { $inc: { balance: -transaction.amount } });
-    } else if (transaction.type === 'expense') {
-      await Account.findByIdAndUpdate(transaction.accountId, { $inc: { balance: transaction.amount } });
-    } else if (transaction.type === 'transfer') {
-      // Revert source
-      await Account.findByIdAndUpdate(transaction.accountId, { $inc: { balance: transaction.amount } });
-      // Revert destination
-      if (transaction.toAccountId) {
-        await Account.findByIdAndUpdate(transaction.toAccountId, { $inc: { balance: -transaction.amount } });
+    // Delete and revert account balance together, with the other posting of
+    // a split EMI, auditing deletions past the edit lock. Attachment files are
+    // removed once the deletion has committed
+    const counterpart = await emiCounterpart(transaction);
+    const deleted = counterpart ? [transaction, counterpart] : [transaction];
+    const ids = deleted.map(t => t._id);
+    const attachments = await Attachment.find({ transactionId: { $in: ids } }).select('+storageKey');
+    await ledger.inTransaction(async (session) => {
+      for (const t of deleted) {
+        await ledger.deleteTransaction(t, session);
+        if (t.isLocked(req.user.editLock)) await ledger.recordRevision(t, null, req.user._id, session);
       }
-    }
-
-    await transaction.deleteOne();
+      await Attachment.deleteMany({ transactionId: { $in: ids } }, { session });
+    });
+    await removeFiles(attachments.map(attachment => attachment.storageKey));
 
     res.status(200).json({
       success: true,
@@ -268,14 +692,47 @@ exports.deleteTransaction = async (req, res, next) => {
   }
 };
 
+// @desc    Get the revision history of a transaction edited after its lock
+// @route   GET /api/transactions/:id/history
+// @access  Private
+exports.getTransactionHistory = async (req, res, next) => {
+  try {
+    // History outlives the transaction, so deleted ones can still be looked up
+    const revisions = await TransactionRevision.find({
+      transactionId: req.params.id,
+      workspaceId: req.workspace._id
+    })
+      .populate('userId', 'name email')
+      .sort({ createdAt: 1 });
+
+    if (revisions.length === 0) {
+      const exists = await Transaction.exists({ _id: req.params.id, workspaceId: req.workspace._id });
+      if (!exists) {
+        return res.status(404).json({
+          success: false,
+          message: 'Transaction not found'
+        });
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: revisions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get transaction summary by category
 // @route   GET /api/transactions/summary/category
 // @access  Private
 exports.getCategorySummary = async (req, res, next) => {
   try {
-    const { startDate, endDate, type } = req.query;
+    const { startDate, endDate, type, depth } = req.query;
 
-    const matchStage = { userId: req.user.id };
+    const matchStage = { workspaceId: req.workspace._id };
     if (type) matchStage.type = type;
     if (startDate || endDate) {
       matchStage.date = {};
@@ -285,6 +742,7 @@ exports.getCategorySummary = async (req, res, next) => {
 
     const summary = await Transaction.aggregate([
       { $match: matchStage },
+      ...ledger.splitLineStages(),
       {
         $group: {
           _id: {
@@ -307,9 +765,18 @@ exports.getCategorySummary = async (req, res, next) => {
       { $sort: { total: -1 } }
     ]);
 
+    // Leaf categories by default, or rolled up to the requested depth
+    const paths = await getCategoryPaths(req.workspace._id);
+    const data = depth
+      ? rollUpByCategory(summary, paths, Math.max(parseInt(depth) || 1, 1))
+      : summary.map(item => ({
+        ...item,
+        path: (paths.get(`${item.type}:${item.category}`) || [item.category]).join(' > ')
+      }));
+
     res.status(200).json({
       success: true,
-      data: summary
+      data
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,311 @@
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const Division = require('../models/Division');
+const Budget = require('../models/Budget');
+const Goal = require('../models/Goal');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const ClosedPeriod = require('../models/ClosedPeriod');
+const ExchangeRate = require('../models/ExchangeRate');
+const Attachment = require('../models/Attachment');
+const TransactionRevision = require('../models/TransactionRevision');
+const { ROLES } = require('../models/Workspace');
+const { createWorkspace, ensurePersonalWorkspace } = require('../services/workspaceService');
+const { inTransaction } = require('../services/ledgerService');
+const { removeFiles } = require('../services/attachmentStorage');
+
+// Data that goes away with its workspace
+const WORKSPACE_MODELS = [
+  Transaction, TransactionRevision, Attachment, Category, Division, Budget, Goal,
+  RecurringTransaction, ClosedPeriod, ExchangeRate
+];
+
+// Load a workspace the user belongs to, with their role. Members stay as
+// plain ids so the workspace can be saved back
+const findMembership = async (req) => {
+  const workspace = await Workspace.findOne({
+    _id: req.params.id,
+    'members.userId': req.user._id
+  });
+
+  if (!workspace) return {};
+
+  return { workspace, role: workspace.roleOf(req.user._id) };
+};
+
+// The workspace with each member's name and email, leaving out members
+// whose account no longer exists
+const withMembers = async (workspace) => {
+  await workspace.populate('members.userId', 'name email');
+  const data = workspace.toObject();
+  data.members = data.members.filter(m => m.userId);
+  return data;
+};
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Workspace not found'
+});
+
+const ownersOnly = (res) => res.status(403).json({
+  success: false,
+  message: 'Only workspace owners can do this'
+});
+
+// @desc    Get workspaces the user belongs to
+// @route   GET /api/workspaces
+// @access  Private
+exports.getWorkspaces = async (req, res, next) => {
+  try {
+    await ensurePersonalWorkspace(req.user);
+
+    const workspaces = await Workspace.find({ 'members.userId': req.user._id }).sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      count: workspaces.length,
+      data: workspaces.map(workspace => ({
+        ...workspace.toObject(),
+        role: workspace.roleOf(req.user._id),
+        personal: Boolean(workspace.personalFor && workspace.personalFor.equals(req.user._id))
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create workspace
+// @route   POST /api/workspaces
+// @access  Private
+exports.createWorkspace = async (req, res, next) => {
+  try {
+    const workspace = await createWorkspace(req.user, req.body.name);
+
+    res.status(201).json({
+      success: true,
+      data: workspace
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single workspace with members
+// @route   GET /api/workspaces/:id
+// @access  Private
+exports.getWorkspace = async (req, res, next) => {
+  try {
+    const { workspace, role } = await findMembership(req);
+
+    if (!workspace) return notFound(res);
+
+    res.status(200).json({
+      success: true,
+      role,
+      data: await withMembers(workspace)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename workspace
+// @route   PUT /api/workspaces/:id
+// @access  Private (owner)
+exports.updateWorkspace = async (req, res, next) => {
+  try {
+    const { workspace, role } = await findMembership(req);
+
+    if (!workspace) return notFound(res);
+    if (role !== 'owner') return ownersOnly(res);
+
+    if (req.body.name !== undefined) workspace.name = req.body.name;
+    await workspace.save();
+
+    res.status(200).json({
+      success: true,
+      data: await withMembers(workspace)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a workspace without accounts, with its remaining data
+// @route   DELETE /api/workspaces/:id
+// @access  Private (owner)
+exports.deleteWorkspace = async (req, res, next) => {
+  try {
+    const { workspace, role } = await findMembership(req);
+
+    if (!workspace) return notFound(res);
+    if (role !== 'owner') return ownersOnly(res);
+
+    if (workspace.personalFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'Personal workspaces cannot be deleted'
+      });
+    }
+
+    const accounts = await Account.countDocuments({ workspaceId: workspace._id });
+    if (accounts > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Workspace still has accounts and cannot be deleted'
+      });
+    }
+
+    // The data and then the workspace go in one DB transaction. Attachment
+    // files are not part of it, so they are removed once it has committed
+    const attachments = await Attachment.find({ workspaceId: workspace._id }).select('+storageKey');
+    await inTransaction(async (session) => {
+      for (const Model of WORKSPACE_MODELS) {
+        await Model.deleteMany({ workspaceId: workspace._id }, { session });
+      }
+      await workspace.deleteOne({ session });
+    });
+    await removeFiles(attachments.map(attachment => attachment.storageKey));
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a member by email
+// @route   POST /api/workspaces/:id/members
+// @access  Private (owner)
+exports.addMember = async (req, res, next) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+    const { workspace, role: myRole } = await findMembership(req);
+
+    if (!workspace) return notFound(res);
+    if (myRole !== 'owner') return ownersOnly(res);
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of ${ROLES.join(', ')}`
+      });
+    }
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (workspace.members.some(m => m.userId.equals(user._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already a member'
+      });
+    }
+
+    workspace.members.push({ userId: user._id, role });
+    await workspace.save();
+
+    res.status(201).json({
+      success: true,
+      data: await withMembers(workspace)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/workspaces/:id/members/:userId
+// @access  Private (owner)
+exports.updateMember = async (req, res, next) => {
+  try {
+    const { role } = req.body;
+    const { workspace, role: myRole } = await findMembership(req);
+
+    if (!workspace) return notFound(res);
+    if (myRole !== 'owner') return ownersOnly(res);
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of ${ROLES.join(', ')}`
+      });
+    }
+
+    const member = workspace.members.find(m => String(m.userId) === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const owners = workspace.members.filter(m => m.role === 'owner').length;
+    if (member.role === 'owner' && role !== 'owner' && owners === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'A workspace needs at least one owner'
+      });
+    }
+
+    member.role = role;
+    await workspace.save();
+
+    res.status(200).json({
+      success: true,
+      data: await withMembers(workspace)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a member (owners can remove anyone, members can leave)
+// @route   DELETE /api/workspaces/:id/members/:userId
+// @access  Private
+exports.removeMember = async (req, res, next) => {
+  try {
+    const { workspace, role: myRole } = await findMembership(req);
+
+    if (!workspace) return notFound(res);
+
+    const leaving = req.params.userId === String(req.user._id);
+    if (myRole !== 'owner' && !leaving) return ownersOnly(res);
+
+    const member = workspace.members.find(m => String(m.userId) === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    const owners = workspace.members.filter(m => m.role === 'owner').length;
+    if (member.role === 'owner' && owners === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'A workspace needs at least one owner'
+      });
+    }
+
+    workspace.members = workspace.members.filter(m => m !== member);
+    await workspace.save();
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
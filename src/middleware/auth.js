@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Workspace = require('../models/Workspace');
+const { ensurePersonalWorkspace } = require('../services/workspaceService');
 
 const protect = async (req, res, next) => {
   try {
@@ -27,16 +30,55 @@ const protect = async (req, res, next) => {
         });
       }
 
-      next();
+      // Tokens issued before a "log out all devices" are no longer valid
+      if ((decoded.v || 0) !== (req.user.tokenVersion || 0)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked'
+        });
+      }
     } catch (error) {
       return res.status(401).json({
         success: false,
         message: 'Not authorized to access this route'
       });
     }
+
+    // Active workspace: the X-Workspace-Id header, or the user's own ledger
+    const workspaceId = req.headers['x-workspace-id'];
+    if (workspaceId) {
+      req.workspace = mongoose.isValidObjectId(workspaceId)
+        ? await Workspace.findOne({ _id: workspaceId, 'members.userId': req.user._id })
+        : null;
+
+      if (!req.workspace) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not a member of this workspace'
+        });
+      }
+    } else {
+      req.workspace = await ensurePersonalWorkspace(req.user);
+    }
+
+    req.workspaceRole = req.workspace.roleOf(req.user._id);
+
+    next();
   } catch (error) {
     next(error);
   }
 };
 
-module.exports = { protect };
\ No newline at end of file
+// Viewers can read the workspace but not change it
+const requireWriteAccess = (req, res, next) => {
+  if (req.method !== 'GET' && req.workspaceRole === 'viewer') {
+    return res.status(403).json({
+      success: false,
+      message: 'Viewers cannot make changes in this workspace'
+    });
+  }
+
+  next();
+};
+
+module.exports = { protect, requireWriteAccess };
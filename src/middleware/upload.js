@@ -0,0 +1,58 @@
+const multer = require('multer');
+
+// Receipt images and PDFs, up to ATTACHMENT_MAX_BYTES (10 MB by default)
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+const MAX_BYTES = Number(process.env.ATTACHMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+// Leading bytes of each allowed type, so a renamed file can't pass as a receipt
+const SIGNATURES = {
+  'image/jpeg': buffer => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  'image/png': buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/webp': buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP',
+  'application/pdf': buffer => buffer.toString('latin1', 0, 5) === '%PDF-'
+};
+
+const badRequest = (message) => Object.assign(new Error(message), { statusCode: 400 });
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      return cb(badRequest(`Only ${ALLOWED_TYPES.join(', ')} files can be attached`));
+    }
+    cb(null, true);
+  }
+});
+
+// Accept one file in the "file" field and check its content matches its type
+const uploadAttachment = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) return next(error);
+
+    if (!req.file) {
+      return next(badRequest('Please attach a file in the "file" field'));
+    }
+    if (!SIGNATURES[req.file.mimetype](req.file.buffer)) {
+      return next(badRequest(`File content does not match ${req.file.mimetype}`));
+    }
+
+    next();
+  });
+};
+
+// Bank statements (CSV/OFX/QFX text), up to STATEMENT_MAX_BYTES (5 MB by default)
+const STATEMENT_MAX_BYTES = Number(process.env.STATEMENT_MAX_BYTES) || 5 * 1024 * 1024;
+
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: STATEMENT_MAX_BYTES, files: 1 }
+});
+
+// Accept an optional statement file in the "file" field. JSON requests
+// pass through untouched.
+const uploadStatement = (req, res, next) => {
+  statementUpload.single('file')(req, res, next);
+};
+
+module.exports = { uploadAttachment, uploadStatement, ALLOWED_TYPES, MAX_BYTES };
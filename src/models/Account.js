@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { emiAmount } = require('../utils/amortization');
 
 const accountSchema = new mongoose.Schema({
   userId: {
@@ -6,6 +7,12 @@ const accountSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
   name: {
     type: String,
     required: [true, 'Account name is required'],
@@ -13,7 +20,7 @@ const accountSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['cash', 'bank', 'credit_card', 'savings'],
+    enum: ['cash', 'bank', 'credit_card', 'savings', 'loan'],
     default: 'cash'
   },
   balance: {
@@ -26,10 +33,89 @@ const accountSchema = new mongoose.Schema({
   },
   currency: {
     type: String,
-    default: 'INR'
-  }
+    default: 'INR',
+    uppercase: true,
+    trim: true
+  },
+  // Credit cards only. The balance goes negative as the card is used, so the
+  // amount owed is -balance
+  creditLimit: {
+    type: Number,
+    min: 0
+  },
+  // Day of the month each statement closes on
+  statementDay: {
+    type: Number,
+    min: 1,
+    max: 28
+  },
+  // Day of the month a statement's payment is due (the first one after it closes)
+  paymentDueDay: {
+    type: Number,
+    min: 1,
+    max: 28
+  },
+  // Loans only. Like a credit card, a loan's balance is minus what is owed
+  loan: {
+    principal: {
+      type: Number,
+      min: 0
+    },
+    // Annual percentage rate
+    interestRate: {
+      type: Number,
+      min: 0
+    },
+    tenureMonths: {
+      type: Number,
+      min: 1
+    },
+    // Disbursal date; the first EMI falls a month later
+    startDate: Date
+  },
+  // Archived accounts are hidden from the account list but keep their history
+  archived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: Date
 }, {
   timestamps: true
 });
 
+accountSchema.pre('validate', function () {
+  if (this.type !== 'loan') return;
+  ['principal', 'interestRate', 'tenureMonths', 'startDate'].forEach(field => {
+    if (this.loan[field] === undefined || this.loan[field] === null) {
+      this.invalidate(`loan.${field}`, `Loan ${field} is required`);
+    }
+  });
+});
+
+// Monthly installment of a loan
+accountSchema.virtual('emi').get(function () {
+  if (this.type !== 'loan' || !this.loan || !this.loan.tenureMonths) return undefined;
+  return emiAmount(this.loan.principal, this.loan.interestRate, this.loan.tenureMonths);
+});
+
+// Credit usage, for credit cards with a limit
+accountSchema.virtual('outstanding').get(function () {
+  if (this.type !== 'credit_card') return undefined;
+  return Math.max(-(this.balance || 0), 0);
+});
+
+accountSchema.virtual('availableCredit').get(function () {
+  if (this.type !== 'credit_card' || !this.creditLimit) return undefined;
+  return Math.round((this.creditLimit - this.outstanding) * 100) / 100;
+});
+
+// Share of the limit in use, as a percentage
+accountSchema.virtual('utilization').get(function () {
+  if (this.type !== 'credit_card' || !this.creditLimit) return undefined;
+  return Math.round((this.outstanding / this.creditLimit) * 10000) / 100;
+});
+
+accountSchema.set('toJSON', { virtuals: true });
+accountSchema.set('toObject', { virtuals: true });
+
 module.exports = mongoose.model('Account', accountSchema);
\ No newline at end of file
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A file (receipt image or PDF) attached to a transaction. The bytes live in
+// the attachment storage backend under storageKey
+const attachmentSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true,
+    index: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  // Uploader
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const budgetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  // Expense category the budget applies to (sub-categories included)
+  category: {
+    type: String,
+    trim: true
+  },
+  // Name of one of the workspace's divisions
+  division: {
+    type: String,
+    trim: true
+  },
+  period: {
+    type: String,
+    enum: ['weekly', 'monthly', 'yearly'],
+    default: 'monthly'
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Budget amount is required'],
+    min: 0
+  },
+  // Carry unused budget into the next period
+  rollover: {
+    type: Boolean,
+    default: false
+  },
+  // First period the budget is tracked from (used for rollover)
+  startDate: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+budgetSchema.pre('validate', function () {
+  if (!this.category && !this.division) {
+    this.invalidate('category', 'Budget needs a category or a division');
+  }
+});
+
+module.exports = mongoose.model('Budget', budgetSchema);
@@ -1,10 +1,40 @@
 const mongoose = require('mongoose');
 
+// Categories every new user starts with
+const DEFAULT_CATEGORIES = [
+  { name: 'Salary', type: 'income', icon: 'briefcase', color: '#10B981' },
+  { name: 'Business', type: 'income', icon: 'store', color: '#059669' },
+  { name: 'Interest', type: 'income', icon: 'percent', color: '#34D399' },
+  { name: 'Gifts', type: 'income', icon: 'gift', color: '#6EE7B7' },
+  { name: 'Other Income', type: 'income', icon: 'plus-circle', color: '#6B7280' },
+  { name: 'Food', type: 'expense', icon: 'utensils', color: '#F59E0B' },
+  { name: 'Transport', type: 'expense', icon: 'car', color: '#3B82F6' },
+  { name: 'Shopping', type: 'expense', icon: 'shopping-bag', color: '#EC4899' },
+  { name: 'Bills', type: 'expense', icon: 'file-text', color: '#EF4444' },
+  { name: 'Rent', type: 'expense', icon: 'home', color: '#8B5CF6' },
+  { name: 'Health', type: 'expense', icon: 'heart', color: '#F43F5E' },
+  { name: 'Entertainment', type: 'expense', icon: 'film', color: '#A855F7' },
+  { name: 'Education', type: 'expense', icon: 'book', color: '#0EA5E9' },
+  { name: 'Loan Interest', type: 'expense', icon: 'landmark', color: '#B45309' },
+  { name: 'Other Expense', type: 'expense', icon: 'minus-circle', color: '#6B7280' }
+];
+
 const categorySchema = new mongoose.Schema({
+  // Creator
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
   name: {
     type: String,
-    required: true,
-    unique: true,
+    required: [true, 'Category name is required'],
     trim: true
   },
   type: {
@@ -12,6 +42,12 @@ const categorySchema = new mongoose.Schema({
     enum: ['income', 'expense'],
     required: true
   },
+  // Parent category for sub-categories such as Food > Groceries
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
   icon: {
     type: String,
     default: 'default-icon'
@@ -24,4 +60,25 @@ const categorySchema = new mongoose.Schema({
   timestamps: true
 });
 
-module.exports = mongoose.model('Category', categorySchema);
\ No newline at end of file
+// Category names are unique per workspace and type, even across
+// sub-categories, because transactions reference categories by name
+categorySchema.index({ workspaceId: 1, type: 1, name: 1 }, { unique: true });
+
+// Create any missing default categories in a workspace
+categorySchema.statics.seedDefaults = async function (workspaceId, userId) {
+  await this.bulkWrite(DEFAULT_CATEGORIES.map(category => ({
+    updateOne: {
+      filter: { workspaceId, type: category.type, name: category.name },
+      update: { $setOnInsert: { ...category, workspaceId, userId } },
+      upsert: true
+    }
+  })));
+};
+
+// Find a workspace's category by name and type
+categorySchema.statics.findByName = function (workspaceId, name, type) {
+  return this.findOne({ workspaceId, name, type });
+};
+
+module.exports = mongoose.model('Category', categorySchema);
+module.exports.DEFAULT_CATEGORIES = DEFAULT_CATEGORIES;
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// A month closed by the workspace. Transactions dated inside a closed period
+// cannot be created, changed or deleted until an owner reopens it
+const closedPeriodSchema = new mongoose.Schema({
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  // YYYY-MM
+  period: {
+    type: String,
+    required: true,
+    match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Period must be in YYYY-MM format']
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['closed', 'reopened'],
+    default: 'closed'
+  },
+  // Snapshot of every account's balance at the end of the period, taken at closing
+  balances: [{
+    _id: false,
+    accountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account'
+    },
+    name: String,
+    currency: String,
+    balance: Number
+  }],
+  // Every close and reopen, in order
+  log: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['close', 'reopen']
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+closedPeriodSchema.index({ workspaceId: 1, period: 1 }, { unique: true });
+closedPeriodSchema.index({ workspaceId: 1, status: 1, startDate: 1, endDate: 1 });
+
+module.exports = mongoose.model('ClosedPeriod', closedPeriodSchema);
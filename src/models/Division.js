@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Divisions every new workspace starts with (the values of the old fixed enum)
+const DEFAULT_DIVISIONS = [
+  { name: 'personal', color: '#3B82F6' },
+  { name: 'office', color: '#F59E0B' }
+];
+
+const divisionSchema = new mongoose.Schema({
+  // Creator
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Division name is required'],
+    trim: true
+  },
+  color: {
+    type: String,
+    default: '#6B7280'
+  },
+  // Archived divisions can't be used for new entries but stay in reports
+  archived: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Transactions, budgets and recurring templates reference divisions by name
+divisionSchema.index({ workspaceId: 1, name: 1 }, { unique: true });
+
+// Create any missing default divisions in a workspace
+divisionSchema.statics.seedDefaults = async function (workspaceId, userId) {
+  await this.bulkWrite(DEFAULT_DIVISIONS.map(division => ({
+    updateOne: {
+      filter: { workspaceId, name: division.name },
+      update: { $setOnInsert: { ...division, workspaceId, userId } },
+      upsert: true
+    }
+  })));
+};
+
+// Find a workspace's division by name
+divisionSchema.statics.findByName = function (workspaceId, name) {
+  return this.findOne({ workspaceId, name });
+};
+
+// Name of the division entries fall back to when none is given: 'personal'
+// while it is active, otherwise the workspace's oldest active division
+divisionSchema.statics.defaultName = async function (workspaceId) {
+  const active = await this.find({ workspaceId, archived: false }).sort({ createdAt: 1 }).lean();
+  const division = active.find(d => d.name === DEFAULT_DIVISIONS[0].name) || active[0];
+  return division ? division.name : null;
+};
+
+module.exports = mongoose.model('Division', divisionSchema);
+module.exports.DEFAULT_DIVISIONS = DEFAULT_DIVISIONS;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Rate for converting 1 unit of `from` into `to`, in effect from `date`.
+// Rates belong to a workspace, so every member's reports convert alike
+const exchangeRateSchema = new mongoose.Schema({
+  // Creator
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  from: {
+    type: String,
+    required: [true, 'Source currency is required'],
+    uppercase: true,
+    trim: true
+  },
+  to: {
+    type: String,
+    required: [true, 'Target currency is required'],
+    uppercase: true,
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: [true, 'Rate date is required']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0.000001, 'Rate must be greater than 0']
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'import'],
+    default: 'manual'
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ workspaceId: 1, from: 1, to: 1, date: -1 }, { unique: true });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
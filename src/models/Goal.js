@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A savings target backed by a savings account, or a share of one
+const goalSchema = new mongoose.Schema({
+  // Creator
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Goal name is required'],
+    trim: true
+  },
+  // In the linked account's currency
+  targetAmount: {
+    type: Number,
+    required: [true, 'Target amount is required'],
+    min: [0.01, 'Target amount must be greater than 0']
+  },
+  targetDate: {
+    type: Date,
+    required: [true, 'Target date is required']
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  // Percentage of the account's balance that counts toward this goal, so
+  // one account can fund several goals
+  share: {
+    type: Number,
+    default: 100,
+    min: [1, 'Share must be between 1 and 100'],
+    max: [100, 'Share must be between 1 and 100']
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Goal', goalSchema);
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const { normalizeTags } = require('../utils/tags');
+const { parseCron } = require('../utils/cron');
+
+const recurringTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
+  // Template for the generated transactions
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account',
+    required: true
+  },
+  toAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Account'
+  },
+  exchangeRate: {
+    type: Number,
+    min: 0
+  },
+  type: {
+    type: String,
+    enum: ['income', 'expense', 'transfer'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: 0
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  // Name of one of the workspace's divisions
+  division: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    required: [true, 'Description is required'],
+    trim: true
+  },
+  // Copied onto every generated transaction
+  tags: {
+    type: [String],
+    set: normalizeTags
+  },
+  // Schedule
+  frequency: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly', 'yearly', 'cron'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6
+  },
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 31
+  },
+  cron: {
+    type: String,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  endDate: Date,
+  maxOccurrences: {
+    type: Number,
+    min: 1
+  },
+  // Occurrences the user chose to skip
+  skippedDates: [Date],
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed'],
+    default: 'active'
+  },
+  // Every occurrence up to this date has been handled
+  processedUntil: Date,
+  nextRunDate: {
+    type: Date,
+    index: true
+  }
+}, {
+  timestamps: true
+});
+
+recurringTransactionSchema.pre('validate', function () {
+  if (this.frequency === 'cron') {
+    try {
+      parseCron(this.cron);
+    } catch (error) {
+      this.invalidate('cron', error.message);
+    }
+  }
+});
+
+// Whether the given occurrence was skipped
+recurringTransactionSchema.methods.isSkipped = function (date) {
+  return this.skippedDates.some(skipped => skipped.getTime() === date.getTime());
+};
+
+module.exports = mongoose.model('RecurringTransaction', recurringTransactionSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Refresh tokens are stored as SHA-256 hashes. Every token issued from the
+// same login shares a family, so reuse of a rotated token can revoke them all.
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  family: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  // Hash of the token this one was rotated into
+  replacedBy: String,
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Let MongoDB clean up expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
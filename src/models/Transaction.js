@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const moment = require('moment');
+const { normalizeTags } = require('../utils/tags');
 
 const transactionSchema = new mongoose.Schema({
   userId: {
@@ -7,6 +9,12 @@ const transactionSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true,
+    index: true
+  },
   accountId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Account',
@@ -27,16 +35,46 @@ const transactionSchema = new mongoose.Schema({
     required: function () { return this.type !== 'transfer'; },
     trim: true
   },
+  // Name of one of the workspace's divisions
   division: {
     type: String,
-    enum: ['office', 'personal'],
-    required: true
+    required: true,
+    trim: true
   },
   description: {
     type: String,
     required: [true, 'Description is required'],
     trim: true
   },
+  // Free-form labels such as "goa-trip-2026"
+  tags: {
+    type: [String],
+    set: normalizeTags
+  },
+  // Optional breakdown of an income/expense across categories and divisions.
+  // Lines add up to `amount`; category/division above mirror the largest line.
+  splits: [{
+    _id: false,
+    amount: {
+      type: Number,
+      required: [true, 'Split amount is required'],
+      min: 0
+    },
+    category: {
+      type: String,
+      required: [true, 'Split category is required'],
+      trim: true
+    },
+    division: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    note: {
+      type: String,
+      trim: true
+    }
+  }],
   date: {
     type: Date,
     required: true,
@@ -50,15 +88,67 @@ const transactionSchema = new mongoose.Schema({
   transferType: {
     type: String,
     enum: ['transfer_out', 'transfer_in']
+  },
+  // Cross-currency transfers: destination amount = amount * exchangeRate
+  exchangeRate: {
+    type: Number,
+    min: 0
+  },
+  toAmount: {
+    type: Number,
+    min: 0
+  },
+  // Set on transactions generated from a recurring schedule
+  recurringId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringTransaction'
+  },
+  occurrenceDate: Date,
+  // Bank reference (e.g. OFX FITID) for imported statement lines
+  externalId: {
+    type: String,
+    trim: true
+  },
+  // EMI postings: the principal transfer to the loan and the interest
+  // expense paid with it both carry the split, linked by paymentId
+  emi: {
+    loanAccountId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Account'
+    },
+    principal: Number,
+    interest: Number,
+    paymentId: mongoose.Schema.Types.ObjectId
+  },
+  // Kept in step with the Attachment documents by the attachment endpoints
+  attachmentCount: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
 });
 
-// Virtual field to check if transaction is editable (within 12 hours)
+// Whether the transaction is past the user's edit lock (see User.editLock).
+// Locked transactions can still be changed, but each change is audited
+transactionSchema.methods.isLocked = function (editLock = {}) {
+  if (editLock.mode === 'period') {
+    const closesAt = moment(this.date)
+      .add(1, 'month')
+      .startOf('month')
+      .date(editLock.periodCloseDay || 5)
+      .endOf('day');
+    return moment().isAfter(closesAt);
+  }
+
+  const windowHours = editLock.windowHours ?? 12;
+  return this.createdAt <= new Date(Date.now() - windowHours * 60 * 60 * 1000);
+};
+
+// Virtual field to check if transaction is still within the edit lock. Uses
+// the lock controllers place in $locals, else the default 12-hour window
 transactionSchema.virtual('isEditable').get(function () {
-  const twelveHoursAgo = new Date(Date.now() - 12 * 60 * 60 * 1000);
-  return this.createdAt > twelveHoursAgo;
+  return !this.isLocked(this.$locals.editLock);
 });
 
 // Ensure virtuals are included in JSON
@@ -66,8 +156,16 @@ transactionSchema.set('toJSON', { virtuals: true });
 transactionSchema.set('toObject', { virtuals: true });
 
 // Indexes for better query performance
-transactionSchema.index({ userId: 1, date: -1 });
-transactionSchema.index({ userId: 1, type: 1 });
-transactionSchema.index({ userId: 1, category: 1 });
+transactionSchema.index({ workspaceId: 1, date: -1 });
+transactionSchema.index({ workspaceId: 1, type: 1 });
+transactionSchema.index({ workspaceId: 1, category: 1 });
+transactionSchema.index({ workspaceId: 1, tags: 1 });
+transactionSchema.index({ 'emi.paymentId': 1 }, { sparse: true });
+
+// One transaction per recurring occurrence, so the scheduler can safely retry
+transactionSchema.index(
+  { recurringId: 1, occurrenceDate: 1 },
+  { unique: true, partialFilterExpression: { recurringId: { $exists: true } } }
+);
 
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Append-only audit trail of changes made to locked transactions
+const transactionRevisionSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  workspaceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    required: true
+  },
+  // User who made the change
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['update', 'delete'],
+    required: true
+  },
+  changedFields: [String],
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // null when the transaction was deleted
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+transactionRevisionSchema.index({ workspaceId: 1, transactionId: 1, createdAt: 1 });
+
+// Revisions are immutable once written
+transactionRevisionSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error('Transaction revisions cannot be modified');
+  }
+});
+
+transactionRevisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function () {
+    throw new Error('Transaction revisions cannot be modified');
+  }
+);
+
+module.exports = mongoose.model('TransactionRevision', transactionRevisionSchema);
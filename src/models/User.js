@@ -19,6 +19,49 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: 6,
     select: false
+  },
+  // Hashed single-use password reset token
+  resetPasswordHash: {
+    type: String,
+    select: false
+  },
+  resetPasswordExpires: {
+    type: Date,
+    select: false
+  },
+  // Bumped to invalidate every access token issued so far
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  // Currency that reports are converted into
+  baseCurrency: {
+    type: String,
+    default: 'INR',
+    uppercase: true,
+    trim: true
+  },
+  // When a transaction stops being freely editable. Later edits are still
+  // allowed but recorded as revisions
+  editLock: {
+    mode: {
+      type: String,
+      enum: ['window', 'period'],
+      default: 'window'
+    },
+    // 'window': hours after creation
+    windowHours: {
+      type: Number,
+      default: 12,
+      min: 0
+    },
+    // 'period': day of the following month on which a month closes
+    periodCloseDay: {
+      type: Number,
+      default: 5,
+      min: 1,
+      max: 28
+    }
   }
 }, {
   timestamps: true
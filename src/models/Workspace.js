@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['owner', 'editor', 'viewer'];
+
+// A shared ledger. Accounts, transactions, categories, budgets and recurring
+// transactions belong to a workspace; members see them according to role.
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true
+  },
+  members: [{
+    _id: false,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    role: {
+      type: String,
+      enum: ROLES,
+      required: true
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Set on the workspace every user gets for their own data
+  personalFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ 'members.userId': 1 });
+workspaceSchema.index(
+  { personalFor: 1 },
+  { unique: true, partialFilterExpression: { personalFor: { $exists: true } } }
+);
+
+// Role of a user in this workspace, or null if not a member
+workspaceSchema.methods.roleOf = function (userId) {
+  const member = this.members.find(m => m.userId.equals(userId));
+  return member ? member.role : null;
+};
+
+module.exports = mongoose.model('Workspace', workspaceSchema);
+module.exports.ROLES = ROLES;
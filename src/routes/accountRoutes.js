@@ -6,13 +6,18 @@ const {
   updateAccount,
   deleteAccount,
   getAccountTransactions,
-  recalibrateAccount
+  recalibrateAccount,
+  getAccountStatements,
+  getAmortization
 } = require('../controllers/accountController');
-const { protect } = require('../middleware/auth');
+const { previewImport, commitImport } = require('../controllers/importController');
+const { uploadStatement } = require('../middleware/upload');
+const { protect, requireWriteAccess } = require('../middleware/auth');
 
 const router = express.Router();
 
 router.use(protect);
+router.use(requireWriteAccess);
 
 router.route('/')
   .get(getAccounts)
@@ -20,6 +25,10 @@ router.route('/')
 
 router.get('/:id/transactions', getAccountTransactions);
 router.post('/:id/recalibrate', recalibrateAccount);
+router.get('/:id/statements', getAccountStatements);
+router.get('/:id/amortization', getAmortization);
+router.post('/:id/import', uploadStatement, previewImport);
+router.post('/:id/import/commit', commitImport);
 
 router.route('/:id')
   .get(getAccount)
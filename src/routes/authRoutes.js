@@ -1,11 +1,29 @@
 const express = require('express');
-const { register, login, getMe } = require('../controllers/authController');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  logoutAll,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  getMe,
+  updateMe
+} = require('../controllers/authController');
 const { protect } = require('../middleware/auth');
 
 const router = express.Router();
 
 router.post('/register', register);
 router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/logout-all', protect, logoutAll);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.put('/password', protect, changePassword);
 router.get('/me', protect, getMe);
+router.put('/me', protect, updateMe);
 
 module.exports = router;
\ No newline at end of file
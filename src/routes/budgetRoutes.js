@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  createBudget,
+  getBudgets,
+  getBudget,
+  updateBudget,
+  deleteBudget
+} = require('../controllers/budgetController');
+const { protect, requireWriteAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(requireWriteAccess);
+
+router.route('/')
+  .get(getBudgets)
+  .post(createBudget);
+
+router.route('/:id')
+  .get(getBudget)
+  .put(updateBudget)
+  .delete(deleteBudget);
+
+module.exports = router;
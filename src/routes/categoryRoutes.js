@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  createCategory,
+  getCategories,
+  getCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+const { protect, requireWriteAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(requireWriteAccess);
+
+router.route('/')
+  .get(getCategories)
+  .post(createCategory);
+
+router.route('/:id')
+  .get(getCategory)
+  .put(updateCategory)
+  .delete(deleteCategory);
+
+module.exports = router;
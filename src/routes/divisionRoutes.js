@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  createDivision,
+  getDivisions,
+  getDivision,
+  updateDivision,
+  deleteDivision
+} = require('../controllers/divisionController');
+const { protect, requireWriteAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(requireWriteAccess);
+
+router.route('/')
+  .get(getDivisions)
+  .post(createDivision);
+
+router.route('/:id')
+  .get(getDivision)
+  .put(updateDivision)
+  .delete(deleteDivision);
+
+module.exports = router;
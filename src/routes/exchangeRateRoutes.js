@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  getRates,
+  setRate,
+  importRates,
+  deleteRate
+} = require('../controllers/exchangeRateController');
+const { protect, requireWriteAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(requireWriteAccess);
+
+router.route('/')
+  .get(getRates)
+  .post(setRate);
+
+router.post('/import', importRates);
+router.delete('/:id', deleteRate);
+
+module.exports = router;
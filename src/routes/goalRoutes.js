@@ -0,0 +1,25 @@
+const express = require('express');
+const {
+  createGoal,
+  getGoals,
+  getGoal,
+  updateGoal,
+  deleteGoal
+} = require('../controllers/goalController');
+const { protect, requireWriteAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(requireWriteAccess);
+
+router.route('/')
+  .get(getGoals)
+  .post(createGoal);
+
+router.route('/:id')
+  .get(getGoal)
+  .put(updateGoal)
+  .delete(deleteGoal);
+
+module.exports = router;
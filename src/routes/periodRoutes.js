@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  getPeriods,
+  closePeriod,
+  reopenPeriod
+} = require('../controllers/periodController');
+const { protect, requireWriteAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(requireWriteAccess);
+
+router.get('/', getPeriods);
+router.post('/close', closePeriod);
+router.post('/:period/reopen', reopenPeriod);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const {
+  createRecurring,
+  getRecurring,
+  getRecurringById,
+  updateRecurring,
+  deleteRecurring,
+  getUpcoming,
+  skipOccurrence,
+  pauseRecurring,
+  resumeRecurring
+} = require('../controllers/recurringController');
+const { protect, requireWriteAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(requireWriteAccess);
+
+router.route('/')
+  .get(getRecurring)
+  .post(createRecurring);
+
+router.get('/:id/upcoming', getUpcoming);
+router.post('/:id/skip', skipOccurrence);
+router.post('/:id/pause', pauseRecurring);
+router.post('/:id/resume', resumeRecurring);
+
+router.route('/:id')
+  .get(getRecurringById)
+  .put(updateRecurring)
+  .delete(deleteRecurring);
+
+module.exports = router;
@@ -3,7 +3,11 @@ const {
     getDashboardSummary,
     getTrend,
     getCategoryBreakdown,
-    getDivisionBreakdown
+    getDivisionBreakdown,
+    getTagBreakdown,
+    getBudgetStatus,
+    getNetWorth,
+    getInsights
 } = require('../controllers/reportController');
 const { protect } = require('../middleware/auth');
 
@@ -15,5 +19,9 @@ router.get('/dashboard', getDashboardSummary);
 router.get('/trend', getTrend);
 router.get('/category-breakdown', getCategoryBreakdown);
 router.get('/division-breakdown', getDivisionBreakdown);
+router.get('/tag-breakdown', getTagBreakdown);
+router.get('/budget-status', getBudgetStatus);
+router.get('/net-worth', getNetWorth);
+router.get('/insights', getInsights);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  getTags,
+  renameTag,
+  mergeTags
+} = require('../controllers/tagController');
+const { protect, requireWriteAccess } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+router.use(requireWriteAccess);
+
+router.get('/', getTags);
+router.post('/merge', mergeTags);
+router.put('/:tag', renameTag);
+
+module.exports = router;
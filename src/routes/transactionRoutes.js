@@ -5,19 +5,39 @@ const {
   getTransaction,
   updateTransaction,
   deleteTransaction,
-  getCategorySummary
+  getCategorySummary,
+  exportTransactions,
+  getTransactionHistory
 } = require('../controllers/transactionController');
-const { protect } = require('../middleware/auth');
+const {
+  uploadAttachment,
+  getAttachments,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const { uploadAttachment: receiveFile } = require('../middleware/upload');
+const { protect, requireWriteAccess } = require('../middleware/auth');
 
 const router = express.Router();
 
 router.use(protect);
+router.use(requireWriteAccess);
 
 router.route('/')
   .get(getTransactions)
   .post(createTransaction);
 
 router.get('/summary/category', getCategorySummary);
+router.get('/export', exportTransactions);
+router.get('/:id/history', getTransactionHistory);
+
+router.route('/:id/attachments')
+  .get(getAttachments)
+  .post(receiveFile, uploadAttachment);
+
+router.route('/:id/attachments/:attachmentId')
+  .get(downloadAttachment)
+  .delete(deleteAttachment);
 
 router.route('/:id')
   .get(getTransaction)
@@ -0,0 +1,33 @@
+const express = require('express');
+const {
+  getWorkspaces,
+  createWorkspace,
+  getWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  addMember,
+  updateMember,
+  removeMember
+} = require('../controllers/workspaceController');
+const { protect } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(protect);
+
+router.route('/')
+  .get(getWorkspaces)
+  .post(createWorkspace);
+
+router.route('/:id')
+  .get(getWorkspace)
+  .put(updateWorkspace)
+  .delete(deleteWorkspace);
+
+router.post('/:id/members', addMember);
+
+router.route('/:id/members/:userId')
+  .put(updateMember)
+  .delete(removeMember);
+
+module.exports = router;
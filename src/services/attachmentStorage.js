@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable attachment storage. A backend is any object with async
+// save(key, buffer, { mimeType }), read(key) resolving to a readable stream,
+// and remove(key). Files go to the local disk unless setBackend() plugs in
+// something else (S3, GCS, or a test double).
+
+// Keys are generated by the server (workspace/transaction/random id), never
+// taken from the uploaded file name
+const localBackend = (dir = process.env.ATTACHMENT_DIR || path.join(process.cwd(), 'uploads')) => ({
+  save: async (key, buffer) => {
+    const file = path.join(dir, key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+  },
+  read: async (key) => {
+    const file = path.join(dir, key);
+    await fs.promises.access(file);
+    return fs.createReadStream(file);
+  },
+  remove: async (key) => {
+    await fs.promises.rm(path.join(dir, key), { force: true });
+  }
+});
+
+let backend = null;
+
+const getBackend = () => {
+  if (!backend) backend = localBackend();
+  return backend;
+};
+
+const setBackend = (custom) => {
+  backend = custom;
+};
+
+const saveFile = (key, buffer, options = {}) => getBackend().save(key, buffer, options);
+const readFile = (key) => getBackend().read(key);
+
+// Missing files are not an error: the goal is that they are gone
+const removeFiles = (keys) => Promise.all(keys.map(key => getBackend().remove(key)));
+
+module.exports = {
+  saveFile,
+  readFile,
+  removeFiles,
+  setBackend,
+  localBackend
+};
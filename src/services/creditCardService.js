@@ -0,0 +1,116 @@
+const moment = require('moment');
+const Transaction = require('../models/Transaction');
+const { balanceDeltas, accountTransactionsFilter } = require('./ledgerService');
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Close of the statement cycle that ends on or before `date`
+const lastStatementClose = (statementDay, date) => {
+  const close = moment(date).date(statementDay).endOf('day');
+  return close.isAfter(date) ? close.subtract(1, 'month').endOf('day') : close;
+};
+
+// A statement is due on the first paymentDueDay after it closes
+const dueDateFor = (close, paymentDueDay) => {
+  const due = close.clone().date(paymentDueDay).endOf('day');
+  return due.isAfter(close) ? due : due.add(1, 'month').endOf('day');
+};
+
+// The card's movements, oldest first, as { transaction, delta } where a
+// negative delta is a charge and a positive one a payment or refund
+const cardMovements = async (account) => {
+  const transactions = await Transaction.find(accountTransactionsFilter(account))
+    .sort({ date: 1, createdAt: 1 })
+    .lean();
+
+  return transactions.map(transaction => ({
+    transaction,
+    delta: balanceDeltas(transaction)
+      .filter(([accountId]) => String(accountId) === String(account._id))
+      .reduce((sum, [, delta]) => sum + delta, 0),
+    // Money moved in from another account, as opposed to a refund
+    isPayment: transaction.type === 'transfer' && String(transaction.toAccountId) === String(account._id)
+  })).filter(movement => movement.delta !== 0);
+};
+
+// The last `count` closed statements of a credit card, newest first, plus
+// the cycle still open. Balances are worked back from the current balance.
+// Each card payment is matched to the latest statement closed before it
+const buildStatements = async (account, count, now = new Date()) => {
+  const movements = await cardMovements(account);
+
+  // Amount owed at a moment: today's debt plus everything since taken back out
+  const owedAt = (date) => -(account.balance - movements
+    .filter(movement => movement.transaction.date > date)
+    .reduce((sum, movement) => sum + movement.delta, 0));
+
+  const latestClose = lastStatementClose(account.statementDay, now);
+  const closes = [];
+  for (let k = count; k >= 0; k--) {
+    closes.push(latestClose.clone().subtract(k, 'months').date(account.statementDay).endOf('day'));
+  }
+
+  const cycles = [];
+  for (let i = 1; i < closes.length; i++) {
+    cycles.push({ start: closes[i - 1], end: closes[i], closed: true });
+  }
+  cycles.push({ start: latestClose, end: moment(now), closed: false });
+
+  const statements = cycles.map(({ start, end, closed }) => {
+    const inCycle = movements.filter(({ transaction }) => (
+      transaction.date > start.toDate() && transaction.date <= end.toDate()
+    ));
+
+    const charges = inCycle.filter(m => m.delta < 0).reduce((sum, m) => sum - m.delta, 0);
+    const payments = inCycle.filter(m => m.delta > 0 && m.isPayment).reduce((sum, m) => sum + m.delta, 0);
+    const credits = inCycle.filter(m => m.delta > 0 && !m.isPayment).reduce((sum, m) => sum + m.delta, 0);
+    const openingBalance = owedAt(start.toDate());
+    const closingBalance = openingBalance + charges - payments - credits;
+
+    return {
+      periodStart: start.clone().add(1, 'ms').toDate(),
+      periodEnd: end.toDate(),
+      closed,
+      dueDate: closed && account.paymentDueDay ? dueDateFor(end, account.paymentDueDay).toDate() : null,
+      openingBalance: round2(openingBalance),
+      charges: round2(charges),
+      payments: round2(payments),
+      credits: round2(credits),
+      closingBalance: round2(closingBalance),
+      amountDue: closed ? round2(Math.max(closingBalance, 0)) : null,
+      settledBy: []
+    };
+  });
+
+  // A payment settles the most recent statement that had closed when it was made
+  const closedStatements = statements.filter(statement => statement.closed);
+  movements.filter(m => m.isPayment).forEach(({ transaction, delta }) => {
+    const settles = [...closedStatements].reverse().find(statement => statement.periodEnd < transaction.date);
+    if (settles) {
+      settles.settledBy.push({
+        transactionId: transaction._id,
+        date: transaction.date,
+        amount: round2(delta),
+        onTime: !settles.dueDate || transaction.date <= settles.dueDate
+      });
+    }
+  });
+
+  closedStatements.forEach((statement, i) => {
+    statement.paidAmount = round2(statement.settledBy.reduce((sum, payment) => sum + payment.amount, 0));
+    statement.remainingDue = round2(Math.max(statement.amountDue - statement.paidAmount, 0));
+
+    // Whatever an older statement left unpaid is already part of the next
+    // one's amount due, so only the latest statement can be due or overdue
+    const latest = i === closedStatements.length - 1;
+    if (statement.amountDue === 0) statement.status = 'no_payment_due';
+    else if (statement.remainingDue === 0) statement.status = 'paid';
+    else if (!latest) statement.status = 'carried_forward';
+    else if (statement.dueDate && now > statement.dueDate) statement.status = 'overdue';
+    else statement.status = 'due';
+  });
+
+  return statements.reverse();
+};
+
+module.exports = { buildStatements };
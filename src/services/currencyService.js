@@ -0,0 +1,105 @@
+const Account = require('../models/Account');
+const ExchangeRate = require('../models/ExchangeRate');
+
+// Rates are looked up in either direction (a stored USD->INR rate also
+// converts INR->USD). The rate in effect on a date is the latest one on or
+// before it; dates before the first known rate use the earliest rate.
+
+// Rate to convert `from` into `to` on the given date from the workspace's
+// rates, or null if none is stored
+const findRate = async (workspaceId, from, to, date = new Date()) => {
+  if (from === to) return 1;
+
+  const pairs = { workspaceId, $or: [{ from, to }, { from: to, to: from }] };
+
+  const rate = await ExchangeRate.findOne({ ...pairs, date: { $lte: date } }).sort({ date: -1 })
+    || await ExchangeRate.findOne({ ...pairs, date: { $gt: date } }).sort({ date: 1 });
+
+  if (!rate) return null;
+  return rate.from === from ? rate.rate : 1 / rate.rate;
+};
+
+// Aggregation stages that rewrite each transaction's `amount` into the base
+// currency, using its account's currency and the workspace's rate on the
+// transaction date
+const toBaseCurrencyStages = (workspaceId, baseCurrency) => [
+  {
+    $lookup: {
+      from: Account.collection.name,
+      localField: 'accountId',
+      foreignField: '_id',
+      as: '_account'
+    }
+  },
+  {
+    $addFields: {
+      _currency: { $ifNull: [{ $arrayElemAt: ['$_account.currency', 0] }, baseCurrency] }
+    }
+  },
+  {
+    $lookup: {
+      from: ExchangeRate.collection.name,
+      let: { currency: '$_currency', date: '$date' },
+      pipeline: [
+        {
+          $match: {
+            workspaceId,
+            $expr: {
+              $or: [
+                { $and: [{ $eq: ['$from', '$$currency'] }, { $eq: ['$to', baseCurrency] }] },
+                { $and: [{ $eq: ['$from', baseCurrency] }, { $eq: ['$to', '$$currency'] }] }
+              ]
+            }
+          }
+        },
+        {
+          $addFields: {
+            onOrBefore: { $lte: ['$date', '$$date'] },
+            distance: { $abs: { $subtract: ['$date', '$$date'] } }
+          }
+        },
+        { $sort: { onOrBefore: -1, distance: 1 } },
+        { $limit: 1 },
+        {
+          $project: {
+            _id: 0,
+            rate: {
+              $cond: [{ $eq: ['$from', '$$currency'] }, '$rate', { $divide: [1, '$rate'] }]
+            }
+          }
+        }
+      ],
+      as: '_rate'
+    }
+  },
+  {
+    $addFields: {
+      amount: {
+        $cond: [
+          { $eq: ['$_currency', baseCurrency] },
+          '$amount',
+          { $multiply: ['$amount', { $ifNull: [{ $arrayElemAt: ['$_rate.rate', 0] }, 1] }] }
+        ]
+      }
+    }
+  },
+  { $project: { _account: 0, _rate: 0, _currency: 0 } }
+];
+
+// Currencies of a workspace's accounts that have no stored rate to the base
+// currency, so their amounts are reported unconverted
+const findMissingRates = async (workspaceId, baseCurrency) => {
+  const currencies = await Account.distinct('currency', { workspaceId, currency: { $ne: baseCurrency } });
+
+  const missing = [];
+  for (const currency of currencies) {
+    if (await findRate(workspaceId, currency, baseCurrency) === null) missing.push(currency);
+  }
+  return missing;
+};
+
+module.exports = {
+  findRate,
+  toBaseCurrencyStages,
+  findMissingRates
+};
@@ -0,0 +1,90 @@
+const moment = require('moment');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const { accountTransactionsFilter, balanceLegStages, OPENING_BALANCE_FILTER } = require('./ledgerService');
+
+// Months of history the contribution rate is averaged over
+const CONTRIBUTION_WINDOW_MONTHS = 3;
+const DAYS_PER_MONTH = 30.44;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Net money moved into an account (deposits and transfers in, less
+// withdrawals) since a date. The opening balance is money the account
+// started with, not a contribution
+const netInflow = async (account, since) => {
+  const [row] = await Transaction.aggregate([
+    {
+      $match: {
+        ...accountTransactionsFilter(account),
+        date: { $gte: since },
+        $nor: [OPENING_BALANCE_FILTER]
+      }
+    },
+    ...balanceLegStages(),
+    { $match: { accountId: account._id } },
+    { $group: { _id: null, net: { $sum: '$delta' } } }
+  ]);
+  return row ? row.net : 0;
+};
+
+// How far a goal has got, the monthly saving it needs from now to make its
+// target date, and when it will be reached at the recent contribution rate
+const goalProgress = async (goal, account, now = new Date()) => {
+  const share = (goal.share || 100) / 100;
+  const saved = round2(Math.max(account.balance, 0) * share);
+  const remaining = round2(Math.max(goal.targetAmount - saved, 0));
+
+  const since = moment(now).subtract(CONTRIBUTION_WINDOW_MONTHS, 'months').toDate();
+  const monthlyContribution = round2((await netInflow(account, since)) * share / CONTRIBUTION_WINDOW_MONTHS);
+
+  const monthsLeft = moment(goal.targetDate).diff(now, 'months', true);
+  let requiredMonthlyContribution = 0;
+  if (remaining > 0) {
+    requiredMonthlyContribution = monthsLeft > 1 ? round2(remaining / monthsLeft) : remaining;
+  }
+
+  let projectedCompletionDate = null;
+  if (remaining === 0) {
+    projectedCompletionDate = now;
+  } else if (monthlyContribution > 0) {
+    projectedCompletionDate = moment(now)
+      .add(Math.ceil((remaining / monthlyContribution) * DAYS_PER_MONTH), 'days')
+      .toDate();
+  }
+
+  let status = 'behind';
+  if (remaining === 0) status = 'achieved';
+  else if (projectedCompletionDate && projectedCompletionDate <= goal.targetDate) status = 'on_track';
+
+  return {
+    saved,
+    remaining,
+    currency: account.currency,
+    progress: round2(Math.min(saved / goal.targetAmount, 1) * 100),
+    monthlyContribution,
+    requiredMonthlyContribution,
+    projectedCompletionDate,
+    status
+  };
+};
+
+// Goals with their progress, loading the linked accounts in one query
+const withProgress = async (goals, now = new Date()) => {
+  const accounts = await Account.find({ _id: { $in: goals.map(goal => goal.accountId) } });
+  const byId = new Map(accounts.map(account => [String(account._id), account]));
+
+  return Promise.all(goals.map(async (goal) => {
+    const account = byId.get(String(goal.accountId));
+    return {
+      ...goal.toJSON(),
+      account: account ? { _id: account._id, name: account.name, balance: account.balance } : null,
+      progress: account ? await goalProgress(goal, account, now) : null
+    };
+  }));
+};
+
+module.exports = {
+  goalProgress,
+  withProgress
+};
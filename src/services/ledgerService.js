@@ -0,0 +1,403 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const Account = require('../models/Account');
+const Category = require('../models/Category');
+const Division = require('../models/Division');
+const TransactionRevision = require('../models/TransactionRevision');
+const { findRate } = require('./currencyService');
+
+// Every write that touches balances goes through this service and runs in a
+// MongoDB transaction, so a transaction document and the balance changes it
+// causes are committed or rolled back together. Requires a replica set.
+
+// Run fn(session) in a MongoDB transaction, joining the caller's session if given
+const inTransaction = (fn, session) => (
+  session ? fn(session) : mongoose.connection.transaction(fn)
+);
+
+// Returns an error message when the division is unknown or archived. An
+// archived division the entry already had (passed in keep) stays usable
+const validateDivision = async (workspaceId, name, keep = []) => {
+  if (!name) return 'Division is required';
+
+  const division = await Division.findByName(workspaceId, name);
+  if (!division) return `Division '${name}' not found`;
+  if (division.archived && !keep.includes(name)) return `Division '${name}' is archived`;
+
+  return null;
+};
+
+// Returns an error message when the category is unknown or of the wrong type
+const validateCategory = async (workspaceId, name, type) => {
+  if (type === 'transfer') return null;
+
+  if (!name) return 'Category is required';
+
+  const category = await Category.findByName(workspaceId, name, type);
+  if (!category) {
+    const other = await Category.findOne({ workspaceId, name });
+    return other
+      ? `Category '${name}' is a ${other.type} category and cannot be used for ${type}`
+      : `Category '${name}' not found`;
+  }
+
+  return null;
+};
+
+// Returns an error message when split lines are invalid for the transaction
+const validateSplits = async (workspaceId, splits, type, amount, keepDivisions = []) => {
+  if (!Array.isArray(splits)) return 'Splits must be a list';
+  if (type === 'transfer') return 'Transfers cannot be split';
+
+  for (const line of splits) {
+    if (!(Number(line.amount) > 0)) return 'Each split amount must be greater than 0';
+    const categoryError = await validateCategory(workspaceId, line.category, type);
+    if (categoryError) return categoryError;
+    const divisionError = await validateDivision(workspaceId, line.division, keepDivisions);
+    if (divisionError) return divisionError;
+  }
+
+  const total = splits.reduce((sum, line) => sum + Number(line.amount), 0);
+  if (Math.abs(total - Number(amount)) > 0.005) {
+    return `Split amounts add up to ${total.toFixed(2)} but the transaction amount is ${Number(amount).toFixed(2)}`;
+  }
+
+  return null;
+};
+
+// The split line that a split transaction's own category/division mirror
+const primarySplit = (splits) => splits.reduce((largest, line) => (
+  Number(line.amount) > Number(largest.amount) ? line : largest
+));
+
+// Aggregation stages that replace each transaction by its split lines, each
+// with its own amount, category and division (unsplit transactions pass as one line)
+const splitLineStages = () => [
+  {
+    $addFields: {
+      _lines: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+          '$splits',
+          [{ amount: '$amount', category: '$category', division: '$division' }]
+        ]
+      }
+    }
+  },
+  { $unwind: '$_lines' },
+  {
+    $addFields: {
+      amount: '$_lines.amount',
+      category: '$_lines.category',
+      division: '$_lines.division'
+    }
+  },
+  { $project: { _lines: 0 } }
+];
+
+// Checks a transfer's source and destination accounts in the workspace. Resolves to
+// { status, error } or { exchangeRate }, where the rate is null when both
+// accounts use the same currency. Cross-currency transfers take the rate
+// from exchangeRate, from toAmount / amount, or from the stored rate on the
+// transfer date (from the workspace's rates), in that order.
+const validateTransfer = async (workspaceId, { accountId, toAccountId, exchangeRate, amount, toAmount, date }) => {
+  if (!toAccountId) {
+    return { status: 400, error: 'Destination account is required for transfers' };
+  }
+  if (String(accountId) === String(toAccountId)) {
+    return { status: 400, error: 'Source and destination accounts must be different' };
+  }
+
+  const [fromAccount, toAccount] = await Promise.all([
+    Account.findOne({ _id: accountId, workspaceId }),
+    Account.findOne({ _id: toAccountId, workspaceId })
+  ]);
+
+  if (!fromAccount) return { status: 404, error: 'Account not found' };
+  if (!toAccount) return { status: 404, error: 'Destination account not found' };
+
+  if (fromAccount.currency === toAccount.currency) return { exchangeRate: null };
+
+  let rate = Number(exchangeRate);
+  if (exchangeRate === undefined || exchangeRate === null || exchangeRate === '') {
+    rate = toAmount && amount
+      ? Number(toAmount) / Number(amount)
+      : await findRate(workspaceId, fromAccount.currency, toAccount.currency, date ? new Date(date) : new Date());
+  }
+
+  if (rate === null) {
+    return {
+      status: 400,
+      error: `Cannot transfer from ${fromAccount.currency} to ${toAccount.currency} without an exchangeRate or toAmount`
+    };
+  }
+
+  if (!(rate > 0)) {
+    return { status: 400, error: 'Exchange rate must be greater than 0' };
+  }
+
+  return { exchangeRate: rate };
+};
+
+// Amount credited to the destination of a (possibly cross-currency) transfer
+const transferToAmount = (amount, exchangeRate) => (
+  exchangeRate ? Math.round(amount * exchangeRate * 100) / 100 : null
+);
+
+// Balance change per account caused by a transaction
+const balanceDeltas = (transaction) => {
+  if (transaction.type === 'income') {
+    return [[transaction.accountId, transaction.amount]];
+  }
+  if (transaction.type === 'expense') {
+    return [[transaction.accountId, -transaction.amount]];
+  }
+  if (transaction.type === 'transfer' && transaction.toAccountId) {
+    return [
+      [transaction.accountId, -transaction.amount],
+      [transaction.toAccountId, transaction.toAmount || transaction.amount]
+    ];
+  }
+  return [];
+};
+
+// Aggregation stages that turn transactions into one { accountId, delta, date }
+// row per account they move money in or out of, matching balanceDeltas
+const balanceLegStages = () => {
+  const isTransfer = { $and: [{ $eq: ['$type', 'transfer'] }, { $ifNull: ['$toAccountId', false] }] };
+
+  return [
+    {
+      $project: {
+        date: 1,
+        legs: {
+          $concatArrays: [
+            [{
+              accountId: '$accountId',
+              delta: {
+                $switch: {
+                  branches: [
+                    { case: { $eq: ['$type', 'income'] }, then: '$amount' },
+                    { case: { $eq: ['$type', 'expense'] }, then: { $multiply: ['$amount', -1] } },
+                    { case: isTransfer, then: { $multiply: ['$amount', -1] } }
+                  ],
+                  default: 0
+                }
+              }
+            }],
+            {
+              $cond: [
+                isTransfer,
+                [{ accountId: '$toAccountId', delta: { $ifNull: ['$toAmount', '$amount'] } }],
+                []
+              ]
+            }
+          ]
+        }
+      }
+    },
+    { $unwind: '$legs' },
+    { $project: { date: 1, accountId: '$legs.accountId', delta: '$legs.delta' } }
+  ];
+};
+
+// Apply (sign = 1) or reverse (sign = -1) the combined effect of transactions
+// on account balances, with one update per account
+const applyBalanceImpact = async (transactions, sign, session) => {
+  const totals = new Map();
+  [].concat(transactions).forEach(transaction => {
+    balanceDeltas(transaction).forEach(([accountId, delta]) => {
+      const key = String(accountId);
+      totals.set(key, (totals.get(key) || 0) + delta * sign);
+    });
+  });
+
+  if (totals.size === 0) return;
+
+  await Account.bulkWrite([...totals].map(([accountId, delta]) => ({
+    updateOne: {
+      filter: { _id: accountId },
+      update: { $inc: { balance: delta } }
+    }
+  })), { session });
+};
+
+// Transaction fields as stored, with the transfer-only fields (and the
+// converted amount credited to the destination) set only on transfers
+const transactionDoc = (data) => ({
+  ...data,
+  category: data.type === 'transfer' ? 'Transfer' : data.category,
+  date: data.date || new Date(),
+  toAccountId: data.type === 'transfer' ? data.toAccountId : undefined,
+  transferType: data.type === 'transfer' ? 'transfer_out' : undefined,
+  exchangeRate: data.type === 'transfer' ? data.exchangeRate || undefined : undefined,
+  toAmount: data.type === 'transfer' ? transferToAmount(data.amount, data.exchangeRate) || undefined : undefined
+});
+
+// Create a transaction and apply it to the account balances
+const recordTransaction = (data, session) => inTransaction(async (session) => {
+  const [transaction] = await Transaction.create([transactionDoc(data)], { session });
+
+  await applyBalanceImpact(transaction, 1, session);
+
+  return transaction;
+}, session);
+
+// Insert many transactions and apply their combined effect on balances
+const recordTransactions = (docs, session) => inTransaction(async (session) => {
+  const transactions = await Transaction.insertMany(docs.map(transactionDoc), { session });
+
+  await applyBalanceImpact(transactions, 1, session);
+
+  return transactions;
+}, session);
+
+// Replace a transaction's fields, moving its balance impact from the old
+// values to the new ones
+const updateTransaction = (transaction, updateData, session) => inTransaction(async (session) => {
+  await applyBalanceImpact(transaction, -1, session);
+
+  const updated = await Transaction.findByIdAndUpdate(
+    transaction._id,
+    updateData,
+    { new: true, runValidators: true, session }
+  );
+
+  await applyBalanceImpact(updated, 1, session);
+
+  return updated;
+}, session);
+
+// Delete a transaction and reverse its balance impact
+const deleteTransaction = (transaction, session) => inTransaction(async (session) => {
+  await applyBalanceImpact(transaction, -1, session);
+  await Transaction.deleteOne({ _id: transaction._id }, { session });
+}, session);
+
+// createAccount records a non-zero opening balance as an 'Initial Balance'
+// income or expense without moving the balance, which already starts there.
+// Rebuilding a balance from openingBalance must leave it out
+const OPENING_BALANCE_FILTER = { category: 'Opening Balance', description: 'Initial Balance' };
+
+// Transactions that move money into or out of an account
+const accountTransactionsFilter = (account) => ({
+  workspaceId: account.workspaceId,
+  $or: [{ accountId: account._id }, { toAccountId: account._id }]
+});
+
+const isOpeningBalance = (transaction) => (
+  transaction.category === OPENING_BALANCE_FILTER.category
+  && transaction.description === OPENING_BALANCE_FILTER.description
+);
+
+// Move every transaction of an account onto a target account (same
+// currency), shifting their balance impact with them. The account's opening
+// balance is folded into the target's, so the target's balance can still be
+// rebuilt from its openingBalance. Transfers between the two accounts would
+// become transfers to self, so they are deleted instead. Returns the ids of
+// the deleted transfers
+const reassignAccountTransactions = (account, target, session) => inTransaction(async (session) => {
+  const transactions = (await Transaction.find(accountTransactionsFilter(account)).session(session))
+    .filter(t => !isOpeningBalance(t));
+  await applyBalanceImpact(transactions, -1, session);
+
+  const between = transactions.filter(t => (
+    t.type === 'transfer' && [String(t.accountId), String(t.toAccountId)].includes(String(target._id))
+  ));
+  const removedIds = between.map(t => t._id);
+  await Transaction.deleteMany({ _id: { $in: removedIds } }, { session });
+
+  await Transaction.updateMany(
+    { workspaceId: account.workspaceId, accountId: account._id },
+    { accountId: target._id },
+    { session }
+  );
+  await Transaction.updateMany(
+    { workspaceId: account.workspaceId, toAccountId: account._id },
+    { toAccountId: target._id },
+    { session }
+  );
+
+  const moved = await Transaction.find({
+    _id: { $in: transactions.map(t => t._id), $nin: removedIds }
+  }).session(session);
+  await applyBalanceImpact(moved, 1, session);
+
+  const opening = account.openingBalance || 0;
+  if (opening !== 0) {
+    await Account.updateOne(
+      { _id: target._id },
+      { $inc: { balance: opening, openingBalance: opening } },
+      { session }
+    );
+  }
+
+  return removedIds;
+}, session);
+
+// Delete every transaction of an account, reversing their effect on the
+// accounts on the other side of transfers. Returns the deleted ids
+const deleteAccountTransactions = (account, session) => inTransaction(async (session) => {
+  const transactions = await Transaction.find(accountTransactionsFilter(account)).session(session);
+  await applyBalanceImpact(transactions, -1, session);
+
+  const ids = transactions.map(t => t._id);
+  await Transaction.deleteMany({ _id: { $in: ids } }, { session });
+
+  return ids;
+}, session);
+
+// Fields captured in a revision's before/after snapshots
+const REVISION_FIELDS = [
+  'accountId', 'toAccountId', 'type', 'amount', 'category', 'division', 'splits',
+  'description', 'tags', 'date', 'exchangeRate', 'toAmount'
+];
+
+const revisionSnapshot = (transaction) => {
+  const plain = transaction.toObject({ virtuals: false });
+  return Object.fromEntries(REVISION_FIELDS.map(field => [field, plain[field] ?? null]));
+};
+
+// Audit a change to a locked transaction. Pass after = null for a deletion
+const recordRevision = async (before, after, userId, session) => {
+  const beforeValues = revisionSnapshot(before);
+  const afterValues = after ? revisionSnapshot(after) : null;
+  const changedFields = REVISION_FIELDS.filter(field => (
+    !afterValues || JSON.stringify(beforeValues[field]) !== JSON.stringify(afterValues[field])
+  ));
+
+  const [revision] = await TransactionRevision.create([{
+    transactionId: before._id,
+    workspaceId: before.workspaceId,
+    userId,
+    action: after ? 'update' : 'delete',
+    changedFields,
+    before: beforeValues,
+    after: afterValues
+  }], { session });
+
+  return revision;
+};
+
+module.exports = {
+  inTransaction,
+  validateDivision,
+  validateCategory,
+  validateSplits,
+  primarySplit,
+  splitLineStages,
+  validateTransfer,
+  transferToAmount,
+  balanceDeltas,
+  balanceLegStages,
+  applyBalanceImpact,
+  recordTransaction,
+  recordTransactions,
+  updateTransaction,
+  deleteTransaction,
+  OPENING_BALANCE_FILTER,
+  accountTransactionsFilter,
+  reassignAccountTransactions,
+  deleteAccountTransactions,
+  recordRevision
+};
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Transaction = require('../models/Transaction');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const { emiAmount, splitInstallment, amortize } = require('../utils/amortization');
+
+const INTEREST_CATEGORY = 'Loan Interest';
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// First EMI date after `date`, and how many installments fell due before it
+const nextInstallment = (loan, date) => {
+  const first = moment(loan.startDate).add(1, 'month');
+  let index = 0;
+  while (!first.clone().add(index, 'months').isAfter(date)) index += 1;
+  return { date: first.clone().add(index, 'months').toDate(), elapsed: index };
+};
+
+// Principal still owed once the installments due by `date` are paid on
+// schedule
+const scheduledBalance = (loan, date = new Date()) => {
+  const { principal, interestRate, tenureMonths, startDate } = loan;
+  const { elapsed } = nextInstallment(loan, date);
+  if (elapsed === 0) return principal;
+  if (elapsed >= tenureMonths) return 0;
+
+  const { schedule } = amortize({
+    balance: principal,
+    annualRate: interestRate,
+    emi: emiAmount(principal, interestRate, tenureMonths),
+    firstDate: moment(startDate).add(1, 'month').toDate(),
+    months: tenureMonths
+  });
+  return schedule[elapsed - 1] ? schedule[elapsed - 1].balance : 0;
+};
+
+// What pays a loan off now: its outstanding principal plus this month's interest
+const amountDue = (loanAccount) => {
+  const outstanding = Math.max(-loanAccount.balance, 0);
+  const { interest } = splitInstallment(outstanding, loanAccount.loan.interestRate, 0);
+  return round2(outstanding + interest);
+};
+
+// Turn an EMI payment into a principal transfer to the loan plus an interest
+// expense, split on the loan's current outstanding balance. Both postings
+// share an emi.paymentId so they are edited and deleted together. A payment
+// above what the loan still owes is rejected; once the loan is repaid there
+// are no transactions
+const emiTransactions = (loanAccount, payment) => {
+  const outstanding = Math.max(-loanAccount.balance, 0);
+  if (outstanding <= 0.005) return [];
+
+  const amount = Number(payment.amount);
+  const due = amountDue(loanAccount);
+  if (amount > due + 0.005) {
+    throw Object.assign(
+      new Error(`The payment is more than the ${due.toFixed(2)} still owed on ${loanAccount.name}`),
+      { statusCode: 400 }
+    );
+  }
+
+  // A payment smaller than the month's interest only pays interest
+  const split = splitInstallment(outstanding, loanAccount.loan.interestRate, amount);
+  const interest = Math.min(split.interest, amount);
+  const { principal } = split;
+  const emi = { loanAccountId: loanAccount._id, principal, interest, paymentId: new mongoose.Types.ObjectId() };
+  const { toAccountId, exchangeRate, transferType, recurringId, occurrenceDate, ...common } = payment;
+
+  const transactions = [];
+  if (principal > 0) {
+    transactions.push({
+      ...payment,
+      amount: principal,
+      description: `${payment.description} (principal)`,
+      emi
+    });
+  }
+  if (interest > 0) {
+    transactions.push({
+      ...common,
+      // Keep the (recurringId, occurrenceDate) key on one posting only
+      ...(principal > 0 ? {} : { recurringId, occurrenceDate }),
+      type: 'expense',
+      amount: interest,
+      category: INTEREST_CATEGORY,
+      description: `${payment.description} (interest)`,
+      emi
+    });
+  }
+
+  return transactions;
+};
+
+// Monthly EMI from `fromAccount` into the loan for its remaining
+// installments. Installments already due are taken as paid
+const createEmiRecurring = (loanAccount, fromAccount, { userId, division }, now = new Date()) => {
+  const { date, elapsed } = nextInstallment(loanAccount.loan, now);
+
+  return new RecurringTransaction({
+    userId,
+    workspaceId: loanAccount.workspaceId,
+    accountId: fromAccount._id,
+    toAccountId: loanAccount._id,
+    type: 'transfer',
+    amount: loanAccount.emi,
+    category: 'Transfer',
+    division,
+    description: `EMI - ${loanAccount.name}`,
+    frequency: 'monthly',
+    dayOfMonth: moment(date).date(),
+    startDate: date,
+    maxOccurrences: Math.max(loanAccount.loan.tenureMonths - elapsed, 1)
+  });
+};
+
+// Where a loan stands today and how it will be repaid, with what-if
+// projections for a lump-sum prepayment either shortening the loan or
+// lowering the EMI
+const loanSummary = async (account, { prepayment, prepaymentDate } = {}, now = new Date()) => {
+  const { principal, interestRate, tenureMonths, startDate } = account.loan;
+  const emi = emiAmount(principal, interestRate, tenureMonths);
+  const outstanding = round2(Math.max(-account.balance, 0));
+
+  const [paid] = await Transaction.aggregate([
+    { $match: { workspaceId: account.workspaceId, 'emi.loanAccountId': account._id } },
+    {
+      $group: {
+        _id: null,
+        interest: { $sum: { $cond: [{ $eq: ['$type', 'expense'] }, '$amount', 0] } },
+        installments: { $addToSet: '$date' }
+      }
+    }
+  ]);
+
+  const next = nextInstallment(account.loan, now);
+  const remainingMonths = Math.max(tenureMonths - next.elapsed, 1);
+  const base = { balance: outstanding, annualRate: interestRate, emi, firstDate: next.date, months: remainingMonths };
+  const projection = amortize(base);
+
+  const summary = {
+    principal,
+    interestRate,
+    tenureMonths,
+    startDate,
+    emi,
+    outstandingPrincipal: outstanding,
+    principalRepaid: round2(principal - outstanding),
+    interestPaidToDate: round2(paid ? paid.interest : 0),
+    installmentsPaid: paid ? paid.installments.length : 0,
+    nextInstallmentDate: outstanding > 0 ? next.date : null,
+    payoffDate: projection.payoffDate,
+    remainingInterest: projection.totalInterest,
+    schedule: projection.schedule
+  };
+
+  if (Number(prepayment) > 0) {
+    const prepayments = [{ date: prepaymentDate || next.date, amount: Number(prepayment) }];
+    const scenario = (mode) => {
+      const result = amortize({ ...base, prepayments, mode });
+      const afterPrepayment = result.schedule.find(row => row.prepayment > 0);
+      return {
+        emi: afterPrepayment ? afterPrepayment.emi : 0,
+        payoffDate: result.payoffDate,
+        totalInterest: result.totalInterest,
+        interestSaved: round2(projection.totalInterest - result.totalInterest),
+        installmentsSaved: projection.schedule.length - result.schedule.length,
+        schedule: result.schedule
+      };
+    };
+
+    summary.whatIf = {
+      prepayment: Number(prepayment),
+      prepaymentDate: prepayments[0].date,
+      reduceTenure: scenario('tenure'),
+      reduceEmi: scenario('emi')
+    };
+  }
+
+  return summary;
+};
+
+module.exports = {
+  INTEREST_CATEGORY,
+  scheduledBalance,
+  amountDue,
+  emiTransactions,
+  createEmiRecurring,
+  loanSummary
+};
@@ -0,0 +1,57 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Pluggable mailer. A transport is any object with an async
+// send({ to, subject, text, html }) method. MAIL_TRANSPORT picks a built-in
+// one ('console' or 'file'); setTransport() plugs in anything else (SMTP, an
+// email API, or a test double). The console transport prints reset links
+// to the logs, so it is refused in production.
+
+const consoleTransport = {
+  send: async (message) => {
+    console.log(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+  }
+};
+
+// Writes each message as a JSON file, handy for development and tests
+const fileTransport = (dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'money-manager-mail')) => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+  }
+});
+
+let transport = null;
+
+const defaultTransport = () => {
+  if (process.env.MAIL_TRANSPORT === 'file') return fileTransport();
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('The console mail transport is disabled in production; set MAIL_TRANSPORT or call setTransport()');
+  }
+  return consoleTransport;
+};
+
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+const sendMail = ({ to, subject, text, html }) => {
+  if (!transport) transport = defaultTransport();
+  return transport.send({
+    from: process.env.MAIL_FROM || 'Money Manager <no-reply@money-manager.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  consoleTransport,
+  fileTransport
+};
@@ -0,0 +1,83 @@
+const moment = require('moment');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const ClosedPeriod = require('../models/ClosedPeriod');
+const { balanceLegStages } = require('./ledgerService');
+
+// First and last moment of a YYYY-MM period
+const periodRange = (period) => {
+  const month = moment(period, 'YYYY-MM', true);
+  return {
+    startDate: month.clone().startOf('month').toDate(),
+    endDate: month.clone().endOf('month').toDate()
+  };
+};
+
+// The closed period containing any of the given dates, if there is one
+const findClosedPeriod = (workspaceId, dates) => {
+  const checked = dates.filter(Boolean).map(date => new Date(date));
+  if (checked.length === 0) return null;
+
+  return ClosedPeriod.findOne({
+    workspaceId,
+    status: 'closed',
+    $or: checked.map(date => ({ startDate: { $lte: date }, endDate: { $gte: date } }))
+  });
+};
+
+// The first closed period holding a transaction that matches the filter
+const findClosedPeriodWith = async (workspaceId, filter) => {
+  const periods = await ClosedPeriod.find({ workspaceId, status: 'closed' }).sort({ startDate: 1 });
+
+  for (const period of periods) {
+    const found = await Transaction.exists({
+      ...filter,
+      workspaceId,
+      date: { $gte: period.startDate, $lte: period.endDate }
+    });
+    if (found) return period;
+  }
+
+  return null;
+};
+
+// Filter for transactions dated outside every closed period
+const outsideClosedPeriods = async (workspaceId) => {
+  const periods = await ClosedPeriod.find({ workspaceId, status: 'closed' });
+  if (periods.length === 0) return {};
+
+  return { $nor: periods.map(period => ({ date: { $gte: period.startDate, $lte: period.endDate } })) };
+};
+
+// Message for a write rejected by findClosedPeriod
+const closedPeriodMessage = (period) => (
+  `The period ${period.period} is closed; reopen it to change its transactions`
+);
+
+// Each account's balance at endDate: today's balance minus everything after it
+const closingBalances = async (workspaceId, endDate) => {
+  const accounts = await Account.find({ workspaceId });
+
+  const later = await Transaction.aggregate([
+    { $match: { workspaceId, date: { $gt: endDate } } },
+    ...balanceLegStages(),
+    { $group: { _id: '$accountId', net: { $sum: '$delta' } } }
+  ]);
+  const laterNet = new Map(later.map(row => [String(row._id), row.net]));
+
+  return accounts.map(account => ({
+    accountId: account._id,
+    name: account.name,
+    currency: account.currency,
+    balance: Math.round((account.balance - (laterNet.get(String(account._id)) || 0)) * 100) / 100
+  }));
+};
+
+module.exports = {
+  periodRange,
+  findClosedPeriod,
+  findClosedPeriodWith,
+  outsideClosedPeriods,
+  closedPeriodMessage,
+  closingBalances
+};
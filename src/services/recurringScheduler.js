@@ -0,0 +1,139 @@
+const RecurringTransaction = require('../models/RecurringTransaction');
+const Account = require('../models/Account');
+const ClosedPeriod = require('../models/ClosedPeriod');
+const { recordTransactions } = require('./ledgerService');
+const { amountDue, emiTransactions } = require('./loanService');
+const { occurrences } = require('../utils/schedule');
+
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+// First occurrence after the given date that hasn't been skipped
+const findNextRun = (recurring, after) => {
+  for (const { date } of occurrences(recurring)) {
+    if ((!after || date > after) && !recurring.isSkipped(date)) return date;
+  }
+  return null;
+};
+
+// Generate the transactions for every occurrence of a schedule that is due
+// and not yet handled. Each occurrence is keyed by (recurringId,
+// occurrenceDate), so running this twice never creates duplicates.
+// Occurrences in a closed period (e.g. catching up after a long pause) are
+// added to skippedDates instead of being posted.
+const processRecurring = async (recurring, now = new Date()) => {
+  let created = 0;
+
+  if (recurring.status === 'active') {
+    const closedPeriods = await ClosedPeriod.find({ workspaceId: recurring.workspaceId, status: 'closed' });
+    const inClosedPeriod = date => closedPeriods.some(period => (
+      date >= period.startDate && date <= period.endDate
+    ));
+
+    for (const { date } of occurrences(recurring)) {
+      if (date > now) break;
+      if (recurring.processedUntil && date <= recurring.processedUntil) continue;
+      if (recurring.isSkipped(date)) continue;
+      if (inClosedPeriod(date)) {
+        recurring.skippedDates.push(date);
+        continue;
+      }
+
+      const payment = {
+        userId: recurring.userId,
+        workspaceId: recurring.workspaceId,
+        accountId: recurring.accountId,
+        toAccountId: recurring.toAccountId,
+        exchangeRate: recurring.exchangeRate,
+        type: recurring.type,
+        amount: recurring.amount,
+        category: recurring.category,
+        division: recurring.division,
+        description: recurring.description,
+        tags: recurring.tags,
+        date,
+        recurringId: recurring._id,
+        occurrenceDate: date
+      };
+
+      // Transfers into a loan are EMIs, split into principal and interest
+      const loan = recurring.type === 'transfer'
+        ? await Account.findOne({ _id: recurring.toAccountId, type: 'loan' })
+        : null;
+      // The last installment only pays what is left
+      if (loan) payment.amount = Math.min(payment.amount, amountDue(loan));
+      const transactions = loan ? emiTransactions(loan, payment) : [payment];
+      if (transactions.length === 0) {
+        recurring.status = 'completed';
+        break;
+      }
+
+      try {
+        await recordTransactions(transactions);
+        created += transactions.length;
+      } catch (error) {
+        // Already generated by an earlier (interrupted) run
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    recurring.processedUntil = now;
+  }
+
+  recurring.nextRunDate = findNextRun(recurring, recurring.processedUntil);
+  if (!recurring.nextRunDate && recurring.status === 'active') {
+    recurring.status = 'completed';
+  }
+
+  await recurring.save();
+
+  return created;
+};
+
+// Process every active schedule with a run due, catching up missed runs
+const processDueRecurring = async (now = new Date()) => {
+  const due = await RecurringTransaction.find({
+    status: 'active',
+    nextRunDate: { $lte: now }
+  });
+
+  let created = 0;
+  for (const recurring of due) {
+    try {
+      created += await processRecurring(recurring, now);
+    } catch (error) {
+      console.error(`Recurring transaction ${recurring._id} failed:`, error.message);
+    }
+  }
+
+  return created;
+};
+
+// Run the scheduler now and then on a fixed interval
+const startRecurringScheduler = (intervalMs = Number(process.env.RECURRING_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const created = await processDueRecurring();
+      if (created > 0) {
+        console.log(`Recurring scheduler created ${created} transaction(s)`);
+      }
+    } catch (error) {
+      console.error('Recurring scheduler error:', error.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, intervalMs);
+};
+
+module.exports = {
+  findNextRun,
+  processRecurring,
+  processDueRecurring,
+  startRecurringScheduler
+};
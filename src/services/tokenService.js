@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+const DEFAULT_ACCESS_EXPIRE = '15m';
+const DEFAULT_REFRESH_EXPIRE_DAYS = 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Short-lived JWT. `v` ties it to the user's tokenVersion so every access
+// token can be cut off at once.
+const generateAccessToken = (user) => jwt.sign(
+  { id: user._id, v: user.tokenVersion || 0 },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_EXPIRE || DEFAULT_ACCESS_EXPIRE }
+);
+
+// Create and store a refresh token, starting a new family unless one is given
+const issueRefreshToken = async (user, req, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(40).toString('hex');
+  const days = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || DEFAULT_REFRESH_EXPIRE_DAYS;
+
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return token;
+};
+
+// Access and refresh token pair for a fresh login
+const issueTokens = async (user, req) => ({
+  token: generateAccessToken(user),
+  refreshToken: await issueRefreshToken(user, req)
+});
+
+const revokeFamily = (family) => RefreshToken.updateMany(
+  { family, revokedAt: null },
+  { revokedAt: new Date() }
+);
+
+const revokeAllForUser = (userId) => RefreshToken.updateMany(
+  { userId, revokedAt: null },
+  { revokedAt: new Date() }
+);
+
+// Swap a refresh token for a new one in the same family. Resolves to
+// { stored, refreshToken }, or null if the token is unknown, expired or revoked.
+// Presenting an already rotated token revokes its whole family.
+const rotateRefreshToken = async (token, req) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token || '') });
+  if (!stored) return null;
+
+  if (stored.revokedAt) {
+    await revokeFamily(stored.family);
+    return null;
+  }
+
+  if (stored.expiresAt <= new Date()) return null;
+
+  // Only one request can win the rotation; a concurrent loser counts as reuse
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    await revokeFamily(stored.family);
+    return null;
+  }
+
+  const newToken = await issueRefreshToken({ _id: stored.userId }, req, stored.family);
+  claimed.replacedBy = hashToken(newToken);
+  await claimed.save();
+
+  return { stored: claimed, refreshToken: newToken };
+};
+
+// Revoke the family a refresh token belongs to. Resolves to false if unknown.
+const revokeRefreshToken = async (token) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token || '') });
+  if (!stored) return false;
+
+  await revokeFamily(stored.family);
+  return true;
+};
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllForUser
+};
@@ -0,0 +1,182 @@
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const Account = require('../models/Account');
+const Transaction = require('../models/Transaction');
+const Category = require('../models/Category');
+const Division = require('../models/Division');
+const Budget = require('../models/Budget');
+const RecurringTransaction = require('../models/RecurringTransaction');
+const ExchangeRate = require('../models/ExchangeRate');
+
+// Models whose documents belong to a workspace
+const SCOPED_MODELS = [Account, Transaction, Category, Budget, RecurringTransaction, ExchangeRate];
+
+// Category names were once unique globally, then per user. Either index
+// rejects the same default categories being seeded into a second workspace.
+const LEGACY_CATEGORY_INDEXES = ['name_1', 'userId_1_type_1_name_1'];
+
+// Create a workspace owned by the user, with the default categories and divisions
+const createWorkspace = async (user, name, extra = {}) => {
+  const workspace = await Workspace.create({
+    name,
+    members: [{ userId: user._id, role: 'owner' }],
+    ...extra
+  });
+
+  await Category.seedDefaults(workspace._id, user._id);
+  await Division.seedDefaults(workspace._id, user._id);
+
+  return workspace;
+};
+
+// Move a user's data saved before workspaces existed into a workspace
+const adoptLegacyData = (user, workspace) => Promise.all(SCOPED_MODELS.map(Model => Model.updateMany(
+  { userId: user._id, workspaceId: { $exists: false } },
+  { $set: { workspaceId: workspace._id } }
+)));
+
+// The user's personal workspace, created on first use. Data saved before
+// workspaces existed is moved into it.
+const ensurePersonalWorkspace = async (user) => {
+  const existing = await Workspace.findOne({ personalFor: user._id });
+  if (existing) return existing;
+
+  let workspace;
+  try {
+    workspace = await Workspace.create({
+      name: `${user.name}'s ledger`,
+      members: [{ userId: user._id, role: 'owner' }],
+      personalFor: user._id
+    });
+  } catch (error) {
+    // Another request created it first
+    if (error.code === 11000) return Workspace.findOne({ personalFor: user._id });
+    throw error;
+  }
+
+  await adoptLegacyData(user, workspace);
+  await Category.seedDefaults(workspace._id, user._id);
+  await Division.seedDefaults(workspace._id, user._id);
+
+  return workspace;
+};
+
+// Give every user with pre-workspace data their personal workspace. Runs at
+// startup, before indexes keyed on workspaceId are built.
+const migrateToWorkspaces = async () => {
+  const userIds = new Set();
+  for (const Model of SCOPED_MODELS) {
+    const ids = await Model.distinct('userId', { workspaceId: { $exists: false } });
+    ids.forEach(id => userIds.add(String(id)));
+  }
+
+  for (const userId of userIds) {
+    const user = await User.findById(userId);
+    if (user) {
+      const workspace = await ensurePersonalWorkspace(user);
+      await adoptLegacyData(user, workspace);
+    }
+  }
+
+  return userIds.size;
+};
+
+// Drop the legacy category indexes. Runs at startup, before anything seeds
+// categories.
+const dropLegacyCategoryIndexes = async () => {
+  const indexes = await Category.collection.indexes().catch(error => {
+    // The collection doesn't exist yet
+    if (error.code === 26) return [];
+    throw error;
+  });
+  for (const index of indexes) {
+    if (LEGACY_CATEGORY_INDEXES.includes(index.name)) {
+      await Category.collection.dropIndex(index.name);
+    }
+  }
+};
+
+// Aggregation stages listing the distinct (workspaceId, type, name) income
+// and expense categories stored in a field, with a userId to create them under
+const usedCategoryStages = (type, field) => [
+  { $match: { workspaceId: { $exists: true }, [field]: { $nin: [null, ''] } } },
+  {
+    $group: {
+      _id: { workspaceId: '$workspaceId', type, name: `$${field}` },
+      userId: { $first: '$userId' }
+    }
+  },
+  { $match: { '_id.type': { $in: ['income', 'expense'] } } }
+];
+
+// Give every workspace without categories the defaults, and create a
+// category for every income or expense category name its transactions,
+// split lines, budgets and recurring templates already use. Runs at
+// startup, after migrateToWorkspaces.
+const migrateCategories = async () => {
+  const seeded = await Category.distinct('workspaceId');
+  const workspaces = await Workspace.find({ _id: { $nin: seeded } });
+
+  for (const workspace of workspaces) {
+    const owner = workspace.members.find(m => m.role === 'owner') || workspace.members[0];
+    if (owner) await Category.seedDefaults(workspace._id, owner.userId);
+  }
+
+  const used = await Promise.all([
+    Transaction.aggregate(usedCategoryStages('$type', 'category')),
+    Transaction.aggregate([{ $unwind: '$splits' }, ...usedCategoryStages('$type', 'splits.category')]),
+    Budget.aggregate(usedCategoryStages('expense', 'category')),
+    RecurringTransaction.aggregate(usedCategoryStages('$type', 'category'))
+  ]);
+
+  const operations = used.flat().map(({ _id: { workspaceId, type, name }, userId }) => ({
+    updateOne: {
+      filter: { workspaceId, type, name },
+      update: { $setOnInsert: { workspaceId, userId, type, name } },
+      upsert: true
+    }
+  }));
+  const result = operations.length > 0 ? await Category.bulkWrite(operations) : null;
+
+  return { seeded: workspaces.length, created: result ? result.upsertedCount : 0 };
+};
+
+// Give workspaces from before divisions were managed the default divisions
+// plus one for every other division name their data already uses. Runs at
+// startup, after migrateToWorkspaces.
+const migrateDivisions = async () => {
+  const seeded = await Division.distinct('workspaceId');
+  const workspaces = await Workspace.find({ _id: { $nin: seeded } });
+
+  for (const workspace of workspaces) {
+    const owner = workspace.members.find(m => m.role === 'owner') || workspace.members[0];
+    if (!owner) continue;
+
+    await Division.seedDefaults(workspace._id, owner.userId);
+
+    const used = await Promise.all([
+      Transaction.distinct('division', { workspaceId: workspace._id }),
+      Transaction.distinct('splits.division', { workspaceId: workspace._id }),
+      Budget.distinct('division', { workspaceId: workspace._id }),
+      RecurringTransaction.distinct('division', { workspaceId: workspace._id })
+    ]);
+    const names = new Set(used.flat().filter(Boolean));
+
+    await Promise.all([...names].map(name => Division.updateOne(
+      { workspaceId: workspace._id, name },
+      { $setOnInsert: { workspaceId: workspace._id, userId: owner.userId, name } },
+      { upsert: true }
+    )));
+  }
+
+  return workspaces.length;
+};
+
+module.exports = {
+  createWorkspace,
+  ensurePersonalWorkspace,
+  migrateToWorkspaces,
+  dropLegacyCategoryIndexes,
+  migrateCategories,
+  migrateDivisions
+};
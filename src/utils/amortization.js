@@ -0,0 +1,92 @@
+const moment = require('moment');
+
+const MAX_INSTALLMENTS = 1200;
+
+const round2 = value => Math.round(value * 100) / 100;
+
+// Equated monthly installment for a loan at an annual percentage rate
+const emiAmount = (principal, annualRate, months) => {
+  if (months <= 0) return round2(principal);
+
+  const r = annualRate / 12 / 100;
+  if (r === 0) return round2(principal / months);
+
+  const growth = Math.pow(1 + r, months);
+  return round2(principal * r * growth / (growth - 1));
+};
+
+// Interest and principal parts of one installment on the outstanding balance.
+// The last installment only covers what is left
+const splitInstallment = (outstanding, annualRate, emi) => {
+  const interest = round2(outstanding * annualRate / 12 / 100);
+  const principal = round2(Math.min(Math.max(emi - interest, 0), outstanding));
+  return { interest, principal };
+};
+
+// Month-by-month repayment of `balance`, the first installment falling on
+// firstDate. Prepayments ([{ date, amount }]) are applied before the
+// installment on or after their date and either shorten the loan
+// (mode 'tenure', same EMI) or lower the EMI over the remaining months
+// (mode 'emi')
+const amortize = ({ balance, annualRate, emi, firstDate, months, prepayments = [], mode = 'tenure' }) => {
+  const pending = [...prepayments].sort((a, b) => new Date(a.date) - new Date(b.date));
+  const rows = [];
+  let outstanding = balance;
+  let installmentAmount = emi;
+  let totalInterest = 0;
+  let totalPrepaid = 0;
+
+  for (let n = 0; outstanding > 0.005 && n < MAX_INSTALLMENTS; n++) {
+    const date = moment(firstDate).add(n, 'months');
+
+    let prepaid = 0;
+    while (pending.length > 0 && !moment(pending[0].date).isAfter(date)) {
+      prepaid += Math.min(Number(pending.shift().amount) || 0, outstanding - prepaid);
+    }
+    if (prepaid > 0) {
+      outstanding = round2(outstanding - prepaid);
+      totalPrepaid += prepaid;
+      if (mode === 'emi' && months) {
+        installmentAmount = emiAmount(outstanding, annualRate, Math.max(months - n, 1));
+      }
+      if (outstanding <= 0.005) break;
+    }
+
+    // The scheduled last installment also clears any rounding remainder
+    const { interest, principal } = months && n === months - 1
+      ? splitInstallment(outstanding, annualRate, Infinity)
+      : splitInstallment(outstanding, annualRate, installmentAmount);
+    if (principal <= 0) {
+      throw Object.assign(
+        new Error('The installment does not cover the interest, so the loan would never be repaid'),
+        { statusCode: 400 }
+      );
+    }
+
+    outstanding = round2(outstanding - principal);
+    totalInterest += interest;
+
+    rows.push({
+      installment: n + 1,
+      date: date.toDate(),
+      emi: round2(principal + interest),
+      principal,
+      interest,
+      prepayment: round2(prepaid),
+      balance: outstanding
+    });
+  }
+
+  return {
+    schedule: rows,
+    totalInterest: round2(totalInterest),
+    totalPrepaid: round2(totalPrepaid),
+    payoffDate: rows.length > 0 ? rows[rows.length - 1].date : null
+  };
+};
+
+module.exports = {
+  emiAmount,
+  splitInstallment,
+  amortize
+};
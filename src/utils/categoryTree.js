@@ -0,0 +1,87 @@
+const Category = require('../models/Category');
+
+const keyOf = (type, name) => `${type}:${name}`;
+
+// Map of "type:name" to the category's path of names from the root,
+// e.g. 'expense:Groceries' -> ['Food', 'Groceries']
+const getCategoryPaths = async (workspaceId) => {
+  const categories = await Category.find({ workspaceId }).lean();
+  const byId = new Map(categories.map(c => [String(c._id), c]));
+  const paths = new Map();
+
+  categories.forEach(category => {
+    const path = [];
+    const seen = new Set();
+    let current = category;
+
+    while (current && !seen.has(String(current._id))) {
+      seen.add(String(current._id));
+      path.unshift(current.name);
+      current = current.parentId ? byId.get(String(current.parentId)) : null;
+    }
+
+    paths.set(keyOf(category.type, category.name), path);
+  });
+
+  return paths;
+};
+
+// Nest a flat list of categories under their parents
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(c => [String(c._id), { ...c, children: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parentId && nodes.get(String(node.parentId));
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  return roots;
+};
+
+// Roll aggregated { category, type?, total, count } rows up to the given
+// depth (1 = top-level). Each rolled-up row keeps its leaf rows as children.
+const rollUpByCategory = (rows, paths, depth, defaultType) => {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const type = row.type || defaultType;
+    const path = paths.get(keyOf(type, row.category)) || [row.category];
+    const level = Math.min(depth, path.length);
+    const name = path[level - 1];
+    const key = keyOf(type, name);
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        category: name,
+        ...(row.type && { type: row.type }),
+        path: path.slice(0, level).join(' > '),
+        total: 0,
+        count: 0,
+        children: []
+      });
+    }
+
+    const group = groups.get(key);
+    group.total += row.total;
+    group.count += row.count;
+    group.children.push({ ...row, path: path.join(' > ') });
+  });
+
+  return [...groups.values()]
+    .map(group => ({
+      ...group,
+      children: group.children.sort((a, b) => b.total - a.total)
+    }))
+    .sort((a, b) => b.total - a.total);
+};
+
+module.exports = {
+  getCategoryPaths,
+  buildCategoryTree,
+  rollUpByCategory
+};
@@ -0,0 +1,91 @@
+// Minimal 5-field cron parser: "minute hour day-of-month month day-of-week".
+// Supports *, numbers, lists (1,15), ranges (1-5) and steps (*/2, 1-10/3).
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const parseField = (expr, { name, min, max }) => {
+  const values = new Set();
+
+  expr.split(',').forEach(part => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    let start = min;
+    let end = max;
+
+    if (range !== '*') {
+      const [from, to] = range.split('-');
+      start = parseInt(from, 10);
+      end = to === undefined ? (stepText === undefined ? start : max) : parseInt(to, 10);
+    }
+
+    if ([start, end, step].some(Number.isNaN) || step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron ${name} field: '${expr}'`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      // Both 0 and 7 mean Sunday
+      values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  });
+
+  return values;
+};
+
+const parseCron = (expression) => {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron rule must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const fields = {};
+  FIELDS.forEach((field, i) => {
+    fields[field.name] = parseField(parts[i], field);
+  });
+
+  // Like cron, a restricted day-of-month and day-of-week match either one
+  fields.anyDay = parts[2] !== '*' && parts[4] !== '*';
+  return fields;
+};
+
+const matchesDay = (fields, date) => {
+  const dom = fields.dayOfMonth.has(date.getDate());
+  const dow = fields.dayOfWeek.has(date.getDay());
+  if (!fields.month.has(date.getMonth() + 1)) return false;
+  return fields.anyDay ? dom || dow : dom && dow;
+};
+
+// Next time strictly after `after` that matches the rule, or null if none
+// within the search horizon
+const nextCronDate = (fields, after, horizonDays = 366 * 5) => {
+  const day = new Date(after);
+  day.setHours(0, 0, 0, 0);
+
+  const hours = [...fields.hour].sort((a, b) => a - b);
+  const minutes = [...fields.minute].sort((a, b) => a - b);
+
+  for (let i = 0; i <= horizonDays; i++) {
+    if (matchesDay(fields, day)) {
+      for (const hour of hours) {
+        for (const minute of minutes) {
+          const candidate = new Date(day);
+          candidate.setHours(hour, minute, 0, 0);
+          if (candidate > after) return candidate;
+        }
+      }
+    }
+    day.setDate(day.getDate() + 1);
+  }
+
+  return null;
+};
+
+module.exports = {
+  parseCron,
+  nextCronDate
+};
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Keyset pagination helpers. A sort is a list of [field, 1 | -1] pairs ending
+// in a unique field (_id), and a cursor holds the last row's values for them
+
+// Opaque cursor for the row a page ended on
+const encodeCursor = (row, sort) => Buffer.from(JSON.stringify(
+  sort.map(([field]) => row[field] instanceof Date ? { $date: row[field].toISOString() } : row[field])
+)).toString('base64url');
+
+// A cursor value with its original type: an ObjectId for _id, otherwise a
+// number or a date. Anything else (e.g. a query operator) is undefined
+const decodeValue = (value, field) => {
+  if (field === '_id') {
+    return typeof value === 'string' && mongoose.isValidObjectId(value)
+      ? new mongoose.Types.ObjectId(value)
+      : undefined;
+  }
+  if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+  if (value && typeof value === 'object' && Object.keys(value).length === 1 && typeof value.$date === 'string') {
+    const date = new Date(value.$date);
+    return Number.isNaN(date.getTime()) ? undefined : date;
+  }
+  return undefined;
+};
+
+// Cursor values with their original types, or null if the cursor is malformed
+const decodeCursor = (cursor, sort) => {
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+  } catch (error) {
+    return null;
+  }
+  if (!Array.isArray(values) || values.length !== sort.length) return null;
+
+  const decoded = values.map((value, i) => decodeValue(value, sort[i][0]));
+
+  return decoded.includes(undefined) ? null : decoded;
+};
+
+// $match condition for rows that come after the cursor in the given sort
+const afterCursor = (values, sort) => ({
+  $or: sort.map(([field, direction], i) => {
+    const condition = {};
+    sort.slice(0, i).forEach(([previous], j) => {
+      condition[previous] = values[j];
+    });
+    condition[field] = { [direction === 1 ? '$gt' : '$lt']: values[i] };
+    return condition;
+  })
+});
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCursor
+};
@@ -0,0 +1,69 @@
+const moment = require('moment');
+const { parseCron, nextCronDate } = require('./cron');
+
+// Every scheduled date of a rule from its start date, ignoring end conditions
+function* scheduleDates(rule) {
+  const start = moment(rule.startDate);
+  const interval = Math.max(rule.interval || 1, 1);
+
+  if (rule.frequency === 'cron') {
+    const fields = parseCron(rule.cron);
+    let next = nextCronDate(fields, new Date(start.valueOf() - 1));
+    while (next) {
+      yield next;
+      next = nextCronDate(fields, next);
+    }
+    return;
+  }
+
+  // Weekly rules may be pinned to a weekday after the start date
+  let weeklyStart = start.clone();
+  if (rule.frequency === 'weekly' && rule.dayOfWeek !== undefined && rule.dayOfWeek !== null) {
+    weeklyStart = start.clone().day(rule.dayOfWeek);
+    if (weeklyStart.isBefore(start)) weeklyStart.add(1, 'week');
+  }
+
+  for (let k = 0; ; k++) {
+    let date;
+
+    switch (rule.frequency) {
+      case 'daily':
+        date = start.clone().add(k * interval, 'days');
+        break;
+      case 'weekly':
+        date = weeklyStart.clone().add(k * interval, 'weeks');
+        break;
+      case 'monthly': {
+        // Always count from the start so short months don't shift later runs
+        date = start.clone().add(k * interval, 'months');
+        const dayOfMonth = rule.dayOfMonth || start.date();
+        date.date(Math.min(dayOfMonth, date.daysInMonth()));
+        break;
+      }
+      case 'yearly':
+        date = start.clone().add(k * interval, 'years');
+        break;
+      default:
+        throw new Error(`Unknown frequency '${rule.frequency}'`);
+    }
+
+    if (!date.isBefore(start)) yield date.toDate();
+  }
+}
+
+// Scheduled occurrences of a rule with their 1-based position, stopping at
+// the rule's end date or occurrence limit
+function* occurrences(rule) {
+  let index = 0;
+
+  for (const date of scheduleDates(rule)) {
+    index += 1;
+    if (rule.endDate && date > rule.endDate) return;
+    if (rule.maxOccurrences && index > rule.maxOccurrences) return;
+    yield { date, index };
+  }
+}
+
+module.exports = {
+  occurrences
+};
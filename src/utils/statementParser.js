@@ -0,0 +1,175 @@
+const moment = require('moment');
+
+// Split CSV text into rows of fields, honouring quoted fields
+const parseCsv = (content, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Parse "1,234.50", "₹ 1,234.50", "(45.00)" or "-45" into a number
+const parseAmount = (value) => {
+  if (value === undefined || value === null) return NaN;
+  let text = String(value).trim();
+  if (text === '') return NaN;
+
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) {
+    sign = -1;
+    text = text.slice(1, -1);
+  }
+  if (/\s*(dr|cr)$/i.test(text)) {
+    if (/dr$/i.test(text)) sign = -sign;
+    text = text.replace(/\s*(dr|cr)$/i, '');
+  }
+
+  const number = parseFloat(text.replace(/[^0-9.-]/g, ''));
+  return sign * number;
+};
+
+// Turn CSV content into statement lines using a column mapping:
+// { date, description, amount } or { date, description, debit, credit },
+// with optional dateFormat, delimiter and reference columns.
+// Columns can be header names or zero-based indexes.
+const parseCsvStatement = (content, mapping = {}) => {
+  const rows = parseCsv(content, mapping.delimiter || ',');
+  if (rows.length === 0) {
+    throw new Error('The statement has no rows');
+  }
+  const hasHeader = mapping.hasHeader !== false;
+  const header = hasHeader ? rows[0].map(h => h.trim().toLowerCase()) : [];
+  const dateFormats = [mapping.dateFormat || 'YYYY-MM-DD', 'YYYY-MM-DD'];
+
+  const column = (name) => {
+    const key = mapping[name];
+    if (key === undefined || key === null || key === '') return -1;
+    if (typeof key === 'number') return key;
+    return header.indexOf(String(key).trim().toLowerCase());
+  };
+
+  const columns = {
+    date: column('date'),
+    description: column('description'),
+    amount: column('amount'),
+    debit: column('debit'),
+    credit: column('credit'),
+    reference: column('reference')
+  };
+
+  if (columns.date < 0 || columns.description < 0 || (columns.amount < 0 && columns.debit < 0 && columns.credit < 0)) {
+    throw new Error('Column mapping must include date, description and either amount or debit/credit columns');
+  }
+
+  const lines = [];
+  const errors = [];
+
+  rows.slice(hasHeader ? 1 : 0).forEach((row, i) => {
+    const rowNumber = i + (hasHeader ? 2 : 1);
+    const date = moment(String(row[columns.date] || '').trim(), dateFormats, true);
+
+    let amount;
+    if (columns.amount >= 0) {
+      amount = parseAmount(row[columns.amount]);
+    } else {
+      const debit = parseAmount(row[columns.debit]);
+      const credit = parseAmount(row[columns.credit]);
+      amount = (Number.isNaN(credit) ? 0 : Math.abs(credit)) - (Number.isNaN(debit) ? 0 : Math.abs(debit));
+    }
+
+    if (!date.isValid()) {
+      errors.push({ row: rowNumber, message: `Invalid date '${row[columns.date]}'` });
+    } else if (Number.isNaN(amount) || amount === 0) {
+      errors.push({ row: rowNumber, message: 'Missing or invalid amount' });
+    } else {
+      lines.push({
+        row: rowNumber,
+        date: date.toDate(),
+        amount,
+        description: String(row[columns.description] || '').trim(),
+        externalId: columns.reference >= 0 ? String(row[columns.reference] || '').trim() || undefined : undefined
+      });
+    }
+  });
+
+  return { lines, errors };
+};
+
+// Parse an OFX/QFX statement, either SGML (OFX 1.x) or XML (OFX 2.x)
+const parseOfxStatement = (content) => {
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  const tag = (block, name) => {
+    const match = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : undefined;
+  };
+
+  const lines = [];
+  const errors = [];
+
+  blocks.forEach((block, i) => {
+    const rawDate = tag(block, 'DTPOSTED') || '';
+    const date = moment(rawDate.slice(0, 8), 'YYYYMMDD', true);
+    const amount = parseAmount(tag(block, 'TRNAMT'));
+    const name = tag(block, 'NAME');
+    const memo = tag(block, 'MEMO');
+
+    if (!date.isValid()) {
+      errors.push({ row: i + 1, message: `Invalid date '${rawDate}'` });
+    } else if (Number.isNaN(amount) || amount === 0) {
+      errors.push({ row: i + 1, message: 'Missing or invalid amount' });
+    } else {
+      lines.push({
+        row: i + 1,
+        date: date.toDate(),
+        amount,
+        description: [name, memo].filter(Boolean).join(' - '),
+        externalId: tag(block, 'FITID')
+      });
+    }
+  });
+
+  return { lines, errors };
+};
+
+module.exports = {
+  parseCsv,
+  parseAmount,
+  parseCsvStatement,
+  parseOfxStatement
+};
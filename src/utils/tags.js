@@ -0,0 +1,8 @@
+// Tags are stored trimmed, lowercase and without duplicates
+const normalizeTags = (tags) => [...new Set(
+  [].concat(tags || [])
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean)
+)];
+
+module.exports = { normalizeTags };
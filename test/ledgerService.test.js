@@ -0,0 +1,220 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const Account = require('../src/models/Account');
+const Transaction = require('../src/models/Transaction');
+const ledger = require('../src/services/ledgerService');
+
+// Multi-document transactions need a replica set, so the ledger runs against
+// a single-node in-memory one
+let replSet;
+let userId;
+let workspaceId;
+let bank;
+let cash;
+
+const balanceOf = async (account) => (await Account.findById(account._id)).balance;
+
+const expense = (fields = {}) => ({
+  userId,
+  workspaceId,
+  accountId: bank._id,
+  type: 'expense',
+  amount: 100,
+  category: 'Food',
+  division: 'personal',
+  description: 'Groceries',
+  ...fields
+});
+
+// Make the nth call (1-based) to Model[method] fail, keeping the others real
+const failOnCall = (Model, method, n) => {
+  const original = Model[method];
+  let calls = 0;
+  Model[method] = function (...args) {
+    calls += 1;
+    if (calls === n) return Promise.reject(new Error('Simulated failure'));
+    return original.apply(this, args);
+  };
+  return () => {
+    Model[method] = original;
+  };
+};
+
+let restore = null;
+
+before(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  await mongoose.connect(replSet.getUri());
+  // Collections can't be created implicitly inside every transaction
+  await Promise.all([Account.init(), Transaction.init()]);
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  if (replSet) await replSet.stop();
+});
+
+beforeEach(async () => {
+  await Promise.all([Account.deleteMany({}), Transaction.deleteMany({})]);
+
+  userId = new mongoose.Types.ObjectId();
+  workspaceId = new mongoose.Types.ObjectId();
+  [bank, cash] = await Account.create([
+    { userId, workspaceId, name: 'Bank', type: 'bank', balance: 1000 },
+    { userId, workspaceId, name: 'Cash', type: 'cash', balance: 50 }
+  ]);
+});
+
+afterEach(() => {
+  if (restore) restore();
+  restore = null;
+});
+
+describe('recordTransaction', () => {
+  it('saves the transaction and its balance change together', async () => {
+    const transaction = await ledger.recordTransaction(expense());
+
+    assert.ok(await Transaction.findById(transaction._id));
+    assert.equal(await balanceOf(bank), 900);
+  });
+
+  it('moves money out of and into both accounts of a transfer', async () => {
+    await ledger.recordTransaction(expense({ type: 'transfer', toAccountId: cash._id, amount: 200 }));
+
+    assert.equal(await balanceOf(bank), 800);
+    assert.equal(await balanceOf(cash), 250);
+  });
+
+  it('rolls back the transaction when the balance update fails', async () => {
+    restore = failOnCall(Account, 'bulkWrite', 1);
+
+    await assert.rejects(ledger.recordTransaction(expense()), /Simulated failure/);
+
+    assert.equal(await Transaction.countDocuments(), 0);
+    assert.equal(await balanceOf(bank), 1000);
+  });
+
+  it('rolls back with the caller when a later step of its transaction fails', async () => {
+    await assert.rejects(ledger.inTransaction(async (session) => {
+      await ledger.recordTransaction(expense(), session);
+      await ledger.recordTransaction(expense({ type: 'transfer', toAccountId: cash._id }), session);
+      throw new Error('Simulated failure');
+    }), /Simulated failure/);
+
+    assert.equal(await Transaction.countDocuments(), 0);
+    assert.equal(await balanceOf(bank), 1000);
+    assert.equal(await balanceOf(cash), 50);
+  });
+});
+
+describe('recordTransactions', () => {
+  it('credits a cross-currency transfer with the converted amount', async () => {
+    const [transfer] = await ledger.recordTransactions([
+      expense({ type: 'transfer', toAccountId: cash._id, amount: 100, exchangeRate: 0.5 })
+    ]);
+
+    assert.equal(transfer.transferType, 'transfer_out');
+    assert.equal(transfer.toAmount, 50);
+    assert.equal(await balanceOf(bank), 900);
+    assert.equal(await balanceOf(cash), 100);
+  });
+
+  it('rolls back every insert when the balance update fails', async () => {
+    restore = failOnCall(Account, 'bulkWrite', 1);
+
+    await assert.rejects(
+      ledger.recordTransactions([expense(), expense({ type: 'income', amount: 30 })]),
+      /Simulated failure/
+    );
+
+    assert.equal(await Transaction.countDocuments(), 0);
+    assert.equal(await balanceOf(bank), 1000);
+  });
+});
+
+describe('updateTransaction', () => {
+  it('moves the balance impact to the new values', async () => {
+    const transaction = await ledger.recordTransaction(expense());
+
+    const updated = await ledger.updateTransaction(transaction, {
+      amount: 40,
+      accountId: cash._id
+    });
+
+    assert.equal(updated.amount, 40);
+    assert.equal(await balanceOf(bank), 1000);
+    assert.equal(await balanceOf(cash), 10);
+  });
+
+  it('keeps the old values and balances when the document update fails', async () => {
+    const transaction = await ledger.recordTransaction(expense());
+    restore = failOnCall(Transaction, 'findByIdAndUpdate', 1);
+
+    await assert.rejects(ledger.updateTransaction(transaction, { amount: 40 }), /Simulated failure/);
+
+    assert.equal((await Transaction.findById(transaction._id)).amount, 100);
+    assert.equal(await balanceOf(bank), 900);
+  });
+
+  it('keeps the old values and balances when applying the new impact fails', async () => {
+    const transaction = await ledger.recordTransaction(expense());
+    // The first bulkWrite reverses the old impact, the second applies the new one
+    restore = failOnCall(Account, 'bulkWrite', 2);
+
+    await assert.rejects(
+      ledger.updateTransaction(transaction, { type: 'transfer', toAccountId: cash._id, amount: 40 }),
+      /Simulated failure/
+    );
+
+    const stored = await Transaction.findById(transaction._id);
+    assert.equal(stored.type, 'expense');
+    assert.equal(stored.amount, 100);
+    assert.equal(await balanceOf(bank), 900);
+    assert.equal(await balanceOf(cash), 50);
+  });
+});
+
+describe('deleteTransaction', () => {
+  it('removes the transaction and reverses its balance change', async () => {
+    const transaction = await ledger.recordTransaction(expense({ type: 'transfer', toAccountId: cash._id }));
+
+    await ledger.deleteTransaction(transaction);
+
+    assert.equal(await Transaction.countDocuments(), 0);
+    assert.equal(await balanceOf(bank), 1000);
+    assert.equal(await balanceOf(cash), 50);
+  });
+
+  it('keeps the transaction and balances when the delete fails after the reversal', async () => {
+    const transaction = await ledger.recordTransaction(expense({ type: 'transfer', toAccountId: cash._id }));
+    restore = failOnCall(Transaction, 'deleteOne', 1);
+
+    await assert.rejects(ledger.deleteTransaction(transaction), /Simulated failure/);
+
+    assert.ok(await Transaction.findById(transaction._id));
+    assert.equal(await balanceOf(bank), 900);
+    assert.equal(await balanceOf(cash), 150);
+  });
+});
+
+describe('reassignAccountTransactions', () => {
+  it('folds the opening balance into the target so its balance can be rebuilt', async () => {
+    const savings = await Account.create({
+      userId, workspaceId, name: 'Savings', type: 'savings', balance: 300, openingBalance: 300
+    });
+    await Transaction.create({
+      ...expense({ accountId: savings._id, type: 'income', amount: 300 }),
+      ...ledger.OPENING_BALANCE_FILTER
+    });
+    await ledger.recordTransaction(expense({ accountId: savings._id, amount: 20 }));
+
+    await ledger.reassignAccountTransactions(savings, cash);
+
+    const target = await Account.findById(cash._id);
+    assert.equal(target.balance, 330);
+    assert.equal(target.openingBalance, 300);
+    assert.equal(await Transaction.countDocuments({ accountId: cash._id }), 2);
+  });
+});